@@ -1,276 +1,97 @@
 // Guitar Fretboard Intervals App
-// - 22 frets (plus open string position)
-// - Standard tuning (low to high): E A D G B E
+// - Instrument profiles: 6/7/8-string guitar, 4/5-string bass, ukulele
+// - Selectable tuning per instrument (presets or custom)
 // - Click a note to show intervals relative to it; highlight root in yellow
+// - Note and interval names spelled for the key or chord (sharps/flats preference)
+// - Plucked-string audio (Karplus-Strong) with electric, acoustic and nylon timbres
+// - Interval ear-training quiz with per-interval statistics
+// - Note-finding drill with timing and a weak-spot heatmap
+// - Chord-quality ear-training quiz on the chord board
+// - Board state kept in the URL hash for sharing and Back/Forward
+// - SVG/PNG diagram export and a printable sheet of diagrams
+// - Chord-box and scale-box diagrams with fingers, barres and open/muted strings
+// - ASCII tab and MusicXML import with playback on the fretboard
+// - Web MIDI input showing held notes and naming the chord
+// - Chord builder that names any shape picked on the neck
+// - Chord progression player (Roman numerals or chord symbols) with voice-led voicings
+// - Metronome (look-ahead scheduled, tap tempo) and a root/fifth drone for scale practice
+// - Scale and arpeggio sequences (up, down, thirds, fours) played with a cursor and written as tab
+// - Microphone pitch detection (YIN): chromatic tuner and played answers in the quizzes
+// - Boards are declared in the page with data-fretboard and built by createFretboard()
 
 // ============================================
-// Shared Audio Module (Web Audio API)
+// Shared Helpers
 // ============================================
-const GuitarAudio = (function () {
-  let audioCtx = null;
-
-  // Open string frequencies in Hz (standard tuning, low to high)
-  const STRING_FREQUENCIES = {
-    'E2': 82.41,   // Low E (6th string)
-    'A2': 110.00,  // A (5th string)
-    'D3': 146.83,  // D (4th string)
-    'G3': 196.00,  // G (3rd string)
-    'B3': 246.94,  // B (2nd string)
-    'E4': 329.63   // High E (1st string)
-  };
-
-  // Map string letter to base frequency (strings from low to high)
-  const STRING_BASE_FREQ = {
-    'E-low': 82.41,
-    'A': 110.00,
-    'D': 146.83,
-    'G': 196.00,
-    'B': 246.94,
-    'E-high': 329.63
-  };
-
-  // String order for determining which E string (low or high)
-  const STRING_ORDER = ['E-low', 'A', 'D', 'G', 'B', 'E-high'];
-
-  // Initialize audio context on first user interaction
-  function initAudio() {
-    if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    if (audioCtx.state === 'suspended') {
-      audioCtx.resume();
+// Settings and data kept in localStorage. Storage may be unavailable (private browsing,
+// file:// in some browsers) or full: reads then give the fallback and writes are dropped,
+// so a change lasts until the page is reloaded.
+const Store = (function () {
+  // Saved text under `key`, or null
+  function read(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
     }
-    return audioCtx;
   }
 
-  // Calculate frequency for a given string and fret
-  // Each fret = 1 semitone = multiply by 2^(1/12)
-  function getFrequency(stringName, fret, stringIndex) {
-    let baseFreq;
-
-    // Handle E strings (need to differentiate low vs high)
-    if (stringName === 'E') {
-      // stringIndex 0 = high E (top of visual fretboard), stringIndex 5 = low E (bottom)
-      // In our reversed array: index 0 = E-high, index 5 = E-low
-      baseFreq = stringIndex === 0 ? STRING_BASE_FREQ['E-high'] : STRING_BASE_FREQ['E-low'];
-    } else {
-      baseFreq = STRING_BASE_FREQ[stringName];
+  function write(key, text) {
+    try {
+      localStorage.setItem(key, text);
+    } catch (e) {
+      // Keep the in-memory copy
     }
-
-    // Calculate frequency: base * 2^(fret/12)
-    return baseFreq * Math.pow(2, fret / 12);
   }
 
-  // Play a note with a guitar-like envelope
-  function playNote(stringName, fret, stringIndex) {
-    const ctx = initAudio();
-    const frequency = getFrequency(stringName, fret, stringIndex);
-
-    // Create oscillator for the fundamental tone
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
-
-    // Use triangle wave for a softer, more guitar-like tone
-    oscillator.type = 'triangle';
-    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
-
-    // Create a pluck-like envelope (quick attack, gradual decay)
-    const now = ctx.currentTime;
-    const attackTime = 0.01;
-    const decayTime = 0.3;
-    const sustainLevel = 0.3;
-    const releaseTime = 0.8;
-
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.5, now + attackTime);
-    gainNode.gain.linearRampToValueAtTime(sustainLevel, now + attackTime + decayTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.001, now + attackTime + decayTime + releaseTime);
-
-    // Connect nodes
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
-
-    // Play the note
-    oscillator.start(now);
-    oscillator.stop(now + attackTime + decayTime + releaseTime + 0.1);
+  // Saved JSON under `key`, or `fallback` when there is none or it can't be read
+  function readJson(key, fallback) {
+    try {
+      const saved = JSON.parse(read(key));
+      return saved === null ? fallback : saved;
+    } catch (e) {
+      return fallback;
+    }
   }
 
-  // Play a frequency directly (for triad playback)
-  function playFrequency(frequency, delay) {
-    const ctx = initAudio();
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
-
-    oscillator.type = 'triangle';
-    oscillator.frequency.value = frequency;
-
-    const startTime = ctx.currentTime + (delay || 0);
-    const attackTime = 0.01;
-    const decayTime = 0.3;
-    const sustainLevel = 0.25;
-    const releaseTime = 1.0;
-
-    // Set initial gain to 0, then schedule the envelope
-    gainNode.gain.value = 0;
-    gainNode.gain.setValueAtTime(0, startTime);
-    gainNode.gain.linearRampToValueAtTime(0.4, startTime + attackTime);
-    gainNode.gain.linearRampToValueAtTime(sustainLevel, startTime + attackTime + decayTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + attackTime + decayTime + releaseTime);
-
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
-
-    oscillator.start(startTime);
-    oscillator.stop(startTime + attackTime + decayTime + releaseTime + 0.1);
+  function writeJson(key, value) {
+    write(key, JSON.stringify(value));
   }
 
-  // Play a triad (3 notes) with slight strum delay
-  // rootFrequency: the actual frequency of the root note clicked
-  // intervals: array of semitone offsets from root, e.g., [0, 4, 7] for major triad
-  function playTriad(rootFrequency, intervals) {
-    initAudio();
-    console.log('playTriad called with rootFrequency:', rootFrequency, 'intervals:', intervals);
-
-    // Play each note of the triad with slight delay for strum effect
-    intervals.forEach((semitones, index) => {
-      const freq = rootFrequency * Math.pow(2, semitones / 12);
-      console.log('Playing freq:', freq, 'semitones:', semitones, 'delay:', index * 0.08);
-      const delay = index * 0.08; // 80ms between each note for strum effect
-      playFrequency(freq, delay);
-    });
-  }
+  return {
+    read: read,
+    write: write,
+    readJson: readJson,
+    writeJson: writeJson
+  };
+})();
 
-  // Standard playable triad shapes (CAGED system)
-  // Ensures 3 notes on different strings that form a playable chord
-  function getTriadNotes(rootStringIndex, rootFret, isMajor) {
-    const notes = [{ stringIndex: rootStringIndex, fret: rootFret, interval: 'R' }];
-    const t = isMajor ? '3' : 'b3';
+// Listeners for a module's change events: add(fn) returns a function that removes fn, and
+// emit(...args) calls every listener (one removed while others run still hears this call)
+function createListeners() {
+  const list = [];
 
-    // Helper to add note if valid
-    const add = (s, f, i) => {
-      if (f >= 0 && f <= 22) notes.push({ stringIndex: s, fret: f, interval: i });
+  function add(fn) {
+    list.push(fn);
+    return function () {
+      const index = list.indexOf(fn);
+      if (index !== -1) list.splice(index, 1);
     };
+  }
 
-    switch (rootStringIndex) {
-      case 5: // Root on Low E
-        // Standard: G-shape (R on E, 3 on A, 5 on D) - Backwards
-        // Maj: R(f), 3(f-1), 5(f-3). Min: R(f), b3(f-2), 5(f-3)
-        if (rootFret >= 3) {
-          add(4, rootFret - (isMajor ? 1 : 2), t);
-          add(3, rootFret - 3, '5');
-        } else {
-          // Low frets/Open: Use E shape (R on E, 5 on A, 3 on G)
-          // E Maj: E(0), B(2 on A), G#(1 on G)
-          add(4, rootFret + 2, '5');
-          add(2, rootFret + (isMajor ? 1 : 0), t);
-        }
-        break;
-
-      case 4: // Root on A
-        // Standard: C-shape (R on A, 3 on D, 5 on G) - Backwards
-        // Maj: R(f), 3(f-1), 5(f-3). Min: R(f), b3(f-2), 5(f-3)
-        if (rootFret >= 3) {
-          add(3, rootFret - (isMajor ? 1 : 2), t);
-          add(2, rootFret - 3, '5');
-        } else {
-          // Low frets/Open: Use A shape (R on A, 5 on D, 3 on B)
-          // A Maj: A(0), E(2 on D), C#(2 on B)
-          add(3, rootFret + 2, '5');
-          add(1, rootFret + (isMajor ? 2 : 1), t);
-        }
-        break;
-
-      case 3: // Root on D
-        // Standard: F-shape (R on D, 3 on G, 5 on B) - Backwards
-        // Maj: R(f), 3(f-1), 5(f-2). Min: R(f), b3(f-2), 5(f-2)
-        if (rootFret >= 2) {
-          add(2, rootFret - (isMajor ? 1 : 2), t);
-          add(1, rootFret - 2, '5');
-        } else {
-          // Low frets/Open: Use D shape (R on D, 5 on G, 3 on e)
-          // D Maj: D(0), A(2 on G), F#(2 on e)
-          add(2, rootFret + 2, '5');
-          add(0, rootFret + (isMajor ? 2 : 1), t);
-        }
-        break;
-
-      case 2: // Root on G
-        // Standard: A-shape top (R on G, 3 on B, 5 on e) - Backwards
-        // Maj: R(f), 3(f), 5(f-2). Min: R(f), b3(f-1), 5(f-2)
-        if (rootFret >= 2) {
-          add(1, rootFret - (isMajor ? 0 : 1), t);
-          add(0, rootFret - 2, '5');
-        } else {
-          // Low frets/Open: Use forward shape
-          // G Maj: G(0), B(0 on B), D(3 on B) -> 2 notes on B string!
-          // Better: G(0), B(0 on B), D(3 on B) is bad.
-          // Use: G(0), D(3 on B), B(4 on G)? No.
-          // Use: G(0), B(0 on B), G(3 on e)? No 5th.
-          // Use: G(0), D(0 on D - lower), B(0 on B). R-5-3.
-          add(3, rootFret, '5'); // D string same fret
-          add(1, rootFret - (isMajor ? 0 : 1), t); // B string
-        }
-        break;
-
-      case 1: // Root on B
-        // Standard: D-shape top (R on B, 5 on G, 3 on e) - Backwards
-        // Maj: R(f), 5(f-1), 3(f-1). Min: R(f), 5(f-1), b3(f-2)
-        if (rootFret >= 2) {
-          add(2, rootFret - 1, '5');
-          add(0, rootFret - (isMajor ? 1 : 2), t);
-        } else {
-          // Low frets/Open: B Maj -> B(0), F#(2 on e)? No, F# is 2 on e. D# is 4 on B.
-          // Use: B(0), F#(4 on D), D#(4 on B)? No.
-          // Use: B(0), D#(1 on D), F#(2 on e)? No.
-          // Use: B(0), F#(3 on D), D#(4 on B)?
-          // Let's use forward shape: R on B, 3 on G, 5 on D?
-          // B Maj: B(0), D#(8 on G), F#(9 on A). No.
-          // B Maj: B(0), D#(4 on B), F#(2 on e).
-          // Let's use: R(B), 5(e), 3(G)?
-          // B(0), F#(2 on e), D#(8 on G).
-          // Let's use: R(B), 3(e), 5(e)?
-          // Standard B minor open: x-2-4-4-3-2.
-          // Triad: B(0), D(3 on B), F#(2 on e). 2 notes on B.
-          // Try: B(0), F#(2 on e), D(3 on B).
-          // Try: B(0), D(0 on D), F#(something).
-          // Let's use the D-shape top but shift for open?
-          // R(B,0), 5(G, -1 -> impossible), 3(e, -1 -> impossible).
-          // Use forward: B(0), D#(4 on B), F#(2 on e).
-          // Use: B(0), D#(1 on D - no, D# is 1 on D), F#(2 on e).
-          // D string 1 is D#. B string 0 is B. e string 2 is F#.
-          // R-3-5. D#-B-F#. Inversion.
-          add(3, rootFret + 1, t); // D# on D string
-          add(0, rootFret + 2, '5'); // F# on e string
-        }
-        break;
-
-      case 0: // Root on High E
-        // Standard: E-shape top (R on e, 5 on B, 3 on G) - Forward
-        // Maj: R(f), 5(f), 3(f+1). Min: R(f), 5(f), b3(f)
-        add(1, rootFret, '5');
-        add(2, rootFret + (isMajor ? 1 : 0), t);
-        break;
-    }
-
-    return notes.filter(n => n.fret >= 0 && n.fret <= 22);
+  function emit(...args) {
+    list.slice().forEach(fn => fn(...args));
   }
 
   return {
-    playNote: playNote,
-    playTriad: playTriad,
-    getFrequency: getFrequency,
-    initAudio: initAudio,
-    getTriadNotes: getTriadNotes
+    add: add,
+    emit: emit
   };
-})();
+}
 
 // ============================================
-// Fretboard App 1: Intervals
+// Shared Music Theory Module
 // ============================================
-(function () {
-  /**
-   * Musical data
-   */
+const Theory = (function () {
   const NOTE_ORDER = [
     "C",
     "C#",
@@ -302,637 +123,6240 @@ const GuitarAudio = (function () {
     "M7",
   ];
 
-  // Standard tuning string notes from bottom to top: E, A, D, G, B, E
-  const STRINGS_LOW_TO_HIGH = ["E", "A", "D", "G", "B", "E"]; // low to high
-
-  // UI constants
-  const FRET_COUNT = 22; // frets 0-22 (23 positions total including open string)
+  // Every mode of a parent scale: rotate it to start on each degree in turn
+  function modesOf(parentSteps, group, modes) {
+    return modes.map(([id, name], degree) => ({
+      id: id,
+      name: name,
+      group: group,
+      steps: parentSteps.map(s => (s - parentSteps[degree] + 12) % 12).sort((a, b) => a - b)
+    }));
+  }
 
-  // DOM
-  const boardEl = document.getElementById("fretboard");
-  const fretNumberEl = document.getElementById("fret-numbers");
-  const markerEl = document.getElementById("fret-markers");
-  const fretNumberBottomEl = document.getElementById("fret-numbers-bottom");
-  const markerBottomEl = document.getElementById("fret-markers-bottom");
+  // Built-in scales (intervals in semitones from root), grouped for pickers
+  const SCALE_CATALOG = [].concat(
+    modesOf([0, 2, 4, 5, 7, 9, 11], 'Diatonic Modes', [
+      ['major', 'Major (Ionian)'],
+      ['dorian', 'Dorian'],
+      ['phrygian', 'Phrygian'],
+      ['lydian', 'Lydian'],
+      ['mixolydian', 'Mixolydian'],
+      ['minor', 'Natural Minor (Aeolian)'],
+      ['locrian', 'Locrian']
+    ]),
+    modesOf([0, 2, 3, 5, 7, 8, 11], 'Harmonic Minor Modes', [
+      ['harmonic-minor', 'Harmonic Minor'],
+      ['locrian-nat6', 'Locrian ♮6'],
+      ['ionian-sharp5', 'Ionian #5'],
+      ['dorian-sharp4', 'Dorian #4'],
+      ['phrygian-dominant', 'Phrygian Dominant'],
+      ['lydian-sharp2', 'Lydian #2'],
+      ['ultralocrian', 'Ultralocrian']
+    ]),
+    modesOf([0, 2, 3, 5, 7, 9, 11], 'Melodic Minor Modes', [
+      ['melodic-minor', 'Melodic Minor'],
+      ['dorian-b2', 'Dorian b2'],
+      ['lydian-augmented', 'Lydian Augmented'],
+      ['lydian-dominant', 'Lydian Dominant'],
+      ['mixolydian-b6', 'Mixolydian b6'],
+      ['locrian-nat2', 'Locrian ♮2'],
+      ['altered', 'Altered']
+    ]),
+    [
+      { id: 'major-pentatonic', name: 'Major Pentatonic', group: 'Pentatonic & Blues', steps: [0, 2, 4, 7, 9] },
+      { id: 'minor-pentatonic', name: 'Minor Pentatonic', group: 'Pentatonic & Blues', steps: [0, 3, 5, 7, 10] },
+      { id: 'blues', name: 'Blues', group: 'Pentatonic & Blues', steps: [0, 3, 5, 6, 7, 10] },
+      { id: 'major-blues', name: 'Major Blues', group: 'Pentatonic & Blues', steps: [0, 2, 3, 4, 7, 9] },
+      { id: 'whole-tone', name: 'Whole Tone', group: 'Symmetric', steps: [0, 2, 4, 6, 8, 10] },
+      { id: 'diminished-hw', name: 'Diminished (Half-Whole)', group: 'Symmetric', steps: [0, 1, 3, 4, 6, 7, 9, 10] },
+      { id: 'diminished-wh', name: 'Diminished (Whole-Half)', group: 'Symmetric', steps: [0, 2, 3, 5, 6, 8, 9, 11] },
+      { id: 'bebop-dominant', name: 'Bebop Dominant', group: 'Bebop', steps: [0, 2, 4, 5, 7, 9, 10, 11] },
+      { id: 'bebop-major', name: 'Bebop Major', group: 'Bebop', steps: [0, 2, 4, 5, 7, 8, 9, 11] },
+      { id: 'bebop-dorian', name: 'Bebop Dorian', group: 'Bebop', steps: [0, 2, 3, 4, 5, 7, 9, 10] }
+    ]
+  );
 
-  // Set CSS variables so CSS grid knows dimensions (23 positions for frets 0-22)
-  document.documentElement.style.setProperty("--fret-count", String(FRET_COUNT + 1));
+  // Degree names for the 12 semitones, as used when building scales
+  const DEGREE_NAMES = ['R', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
 
-  // Build fret number header (0..22) using explicit grid-column placement for perfect alignment
-  function renderFretNumbers(targetEl) {
-    let html = '';
-    html += `<div style="grid-column:1"></div>`; // label spacer
+  // Chord qualities: semitone steps from the root (9/11/13 above the octave) and their labels.
+  // The 13th chord leaves out the 11th, as it is normally voiced.
+  const CHORDS = {
+    'major': { name: 'Major', symbol: '', steps: [0, 4, 7], labels: ['R', '3', '5'] },
+    'minor': { name: 'Minor', symbol: 'm', steps: [0, 3, 7], labels: ['R', 'b3', '5'] },
+    'diminished': { name: 'Diminished', symbol: 'dim', steps: [0, 3, 6], labels: ['R', 'b3', 'b5'] },
+    'augmented': { name: 'Augmented', symbol: 'aug', steps: [0, 4, 8], labels: ['R', '3', '#5'] },
+    'sus2': { name: 'Suspended 2nd', symbol: 'sus2', steps: [0, 2, 7], labels: ['R', '2', '5'] },
+    'sus4': { name: 'Suspended 4th', symbol: 'sus4', steps: [0, 5, 7], labels: ['R', '4', '5'] },
+    '6': { name: 'Major 6th', symbol: '6', steps: [0, 4, 7, 9], labels: ['R', '3', '5', '6'] },
+    '7': { name: 'Dominant 7th', symbol: '7', steps: [0, 4, 7, 10], labels: ['R', '3', '5', 'b7'] },
+    'maj7': { name: 'Major 7th', symbol: 'maj7', steps: [0, 4, 7, 11], labels: ['R', '3', '5', '7'] },
+    'm7': { name: 'Minor 7th', symbol: 'm7', steps: [0, 3, 7, 10], labels: ['R', 'b3', '5', 'b7'] },
+    'm7b5': { name: 'Half-Diminished', symbol: 'm7b5', steps: [0, 3, 6, 10], labels: ['R', 'b3', 'b5', 'b7'] },
+    'dim7': { name: 'Diminished 7th', symbol: 'dim7', steps: [0, 3, 6, 9], labels: ['R', 'b3', 'b5', 'bb7'] },
+    'add9': { name: 'Add 9', symbol: 'add9', steps: [0, 4, 7, 14], labels: ['R', '3', '5', '9'] },
+    '9': { name: 'Dominant 9th', symbol: '9', steps: [0, 4, 7, 10, 14], labels: ['R', '3', '5', 'b7', '9'] },
+    '11': { name: 'Dominant 11th', symbol: '11', steps: [0, 4, 7, 10, 14, 17], labels: ['R', '3', '5', 'b7', '9', '11'] },
+    '13': { name: 'Dominant 13th', symbol: '13', steps: [0, 4, 7, 10, 14, 21], labels: ['R', '3', '5', 'b7', '9', '13'] },
+    '7#9': { name: 'Dominant 7th #9', symbol: '7#9', steps: [0, 4, 7, 10, 15], labels: ['R', '3', '5', 'b7', '#9'] }
+  };
 
-    // Fret 0
-    html += `<div class="fret-num-cell" style="grid-column:2">0</div>`;
+  // Interval label for each chord tone, keyed by semitones above the root (0..11)
+  function chordLabels(chord) {
+    const labels = {};
+    chord.steps.forEach((steps, i) => {
+      labels[steps % 12] = chord.labels[i];
+    });
+    return labels;
+  }
 
-    // Nut
-    html += `<div class="fret-num-cell nut-cell" style="grid-column:3"></div>`;
+  // Helper: get note name n semitones above base
+  function noteUp(baseNote, semitoneSteps) {
+    const baseIndex = NOTE_ORDER.indexOf(baseNote);
+    const idx = (((baseIndex + semitoneSteps) % 12) + 12) % 12;
+    return NOTE_ORDER[idx];
+  }
 
-    // Frets 1-22
-    for (let f = 1; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      html += `<div class="fret-num-cell" style="grid-column:${col}">${f}</div>`;
-    }
-    targetEl.innerHTML = html;
+  // Semitones from rootLetter up to noteLetter (0..11)
+  function interval(rootLetter, noteLetter) {
+    return (NOTE_ORDER.indexOf(noteLetter) - NOTE_ORDER.indexOf(rootLetter) + 12) % 12;
   }
 
-  // Build fret markers row with explicit column placement
-  function renderFretMarkers(targetEl) {
-    const singleDotFrets = new Set([3, 5, 7, 9, 15, 17, 19, 21]);
-    let html = '';
+  return {
+    NOTE_ORDER: NOTE_ORDER,
+    INTERVAL_BY_STEPS: INTERVAL_BY_STEPS,
+    SCALE_CATALOG: SCALE_CATALOG,
+    DEGREE_NAMES: DEGREE_NAMES,
+    CHORDS: CHORDS,
+    chordLabels: chordLabels,
+    noteUp: noteUp,
+    interval: interval
+  };
+})();
 
-    // Label spacer
-    html += `<div style="grid-column:1"></div>`;
+// ============================================
+// Enharmonic Spelling
+// ============================================
+// Notes are identified by their sharp names (Theory.NOTE_ORDER) everywhere else; this module
+// turns them into written names: letters that follow the key or chord (Bb in F major, E# in
+// F# major, double sharps where needed) and interval names that follow those letters
+// (A4 vs d5). The preference ("auto", "sharps" or "flats") picks between enharmonic tonics
+// and spells notes that have no key context.
+const Spelling = (function () {
+  const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const NATURAL_STEPS = [0, 2, 4, 5, 7, 9, 11];
+  const ACCIDENTALS = { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': '##' };
+  const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+  const PREFERENCES = [
+    { id: 'auto', name: 'Auto' },
+    { id: 'sharps', name: 'Sharps' },
+    { id: 'flats', name: 'Flats' }
+  ];
+  const STORAGE_KEY = 'guitar-intervals.spelling';
+  const listeners = createListeners();
 
-    // Fret 0
-    html += `<div class="fret-marker-cell" style="grid-column:2"></div>`;
+  // Letter offsets above a root for notes outside a scale: b2, 2, b3, 3, 4, b5, 5, b6, 6, b7, 7
+  const DEGREE_OFFSETS = [0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6];
 
-    // Nut
-    html += `<div class="fret-marker-cell nut-cell" style="grid-column:3"></div>`;
+  let preference = load();
 
-    // Frets 1-22
-    for (let f = 1; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      let content = '';
-      if (singleDotFrets.has(f)) {
-        content = `<div class="dot"></div>`;
-      } else if (f === 12) {
-        content = `<div class="double"><div class="dot"></div><div class="dot"></div></div>`;
-      }
-      html += `<div class="fret-marker-cell" style="grid-column:${col}">${content}</div>`;
-    }
-    targetEl.innerHTML = html;
+  function load() {
+    const saved = Store.read(STORAGE_KEY);
+    return PREFERENCES.some(p => p.id === saved) ? saved : 'auto';
   }
 
-  renderFretNumbers(fretNumberEl);
-  renderFretMarkers(markerEl);
-  // Bottom duplicates
-  if (fretNumberBottomEl) renderFretNumbers(fretNumberBottomEl);
-  if (markerBottomEl) renderFretMarkers(markerBottomEl);
+  function pitchClass(note) {
+    return Theory.NOTE_ORDER.indexOf(note);
+  }
 
-  // Helper: get note name n semitones above base
-  function noteUp(baseNote, semitoneSteps) {
-    const baseIndex = NOTE_ORDER.indexOf(baseNote);
-    const idx = (baseIndex + semitoneSteps) % 12;
-    return NOTE_ORDER[idx];
+  // Written name for a pitch class (0..11) on a letter (0..6, C..B)
+  function spell(pc, letter) {
+    let diff = (pc - NATURAL_STEPS[letter] + 12) % 12;
+    if (diff > 6) diff -= 12;
+    const accidental = ACCIDENTALS[diff];
+    return accidental === undefined ? null : LETTERS[letter] + accidental;
   }
 
-  // Build fretboard grid rows (strings)
-  function buildBoard() {
-    // Nut element is inserted once and spans all rows
-    const nutDiv = `<div class="nut" aria-hidden="true"></div>`;
-
-    // For display, strings are visually top to bottom high to low; but the user asked bottom to top listing E A D G B E.
-    // We'll render from top to bottom in the requested visual order: bottom string is first in the data, but in grid we add rows top to bottom.
-    // To meet the request "from bottom to top E, A, D, G, B, E" we must place the low E at the bottom visually.
-    // We'll therefore iterate from high to low so the last (low E) ends up bottom.
-    const stringsTopToBottom = [...STRINGS_LOW_TO_HIGH].reverse();
-
-    // Start the grid content with per-string rows
-    let html = nutDiv; // place nut first
-
-    stringsTopToBottom.forEach((openNote, rowIndex) => {
-      // Row label
-      html += `<div class="string-label cell">${openNote}</div>`;
-
-      // Open string + 22 frets => we need FRET_COUNT cells beyond the nut column; each cell will contain a note circle
-      for (let fret = 0; fret <= FRET_COUNT; fret += 1) {
-        // Fret number 'fret' corresponds to semitone steps from open string = fret
-        const stepsFromOpen = fret; // because 1st fret = +1 semitone
-        const noteName = noteUp(openNote, stepsFromOpen);
-        const sharpClass = noteName.includes('#') ? ' sharp' : '';
-        html += `<div class=\"cell\" data-string=\"${openNote}\" data-fret=\"${fret}\">
-          <button class=\"note${sharpClass}\" data-note=\"${noteName}\" data-open=\"${openNote}\" data-fret=\"${fret}\" data-string-index=\"${rowIndex}\" aria-label=\"${noteName} at fret ${fret} on ${openNote} string\">
-            <span class="interval ghost">${noteName}</span>
-            <span class="letter ghost">${noteName}</span>
-          </button>
-        </div>`;
-      }
-    });
+  function letterOf(name) {
+    return LETTERS.indexOf(name.charAt(0));
+  }
 
-    boardEl.innerHTML = html;
+  // Pitch class of a written name ("Bb" -> 10, "E#" -> 5)
+  function pitchOf(name) {
+    let pc = NATURAL_STEPS[letterOf(name)];
+    for (const c of name.slice(1)) pc += c === '#' ? 1 : -1;
+    return (pc + 12) % 12;
   }
 
-  buildBoard();
+  // Sharp or flat name of a note, with no key context
+  function plain(note, flats) {
+    return flats ? FLAT_NAMES[pitchClass(note)] : note;
+  }
 
-  // Scale definitions (intervals in semitones from root)
-  const SCALES = {
-    'major': new Set([0, 2, 4, 5, 7, 9, 11]),
-    'minor': new Set([0, 2, 3, 5, 7, 8, 10]),
-    'major-pentatonic': new Set([0, 2, 4, 7, 9]),
-    'minor-pentatonic': new Set([0, 3, 5, 7, 10])
-  };
-
-  let activeRoot = null; // { letter: string }
-  let selectedScale = null; // 'major', 'minor', etc. or null
-
-  function clearIntervals() {
-    activeRoot = null;
-    const notes = boardEl.querySelectorAll(".note");
-    notes.forEach((btn) => {
-      btn.classList.remove("root", "active-triad");
-      const intervalEl = btn.querySelector(".interval");
-      const letterEl = btn.querySelector(".letter");
-      const letter = btn.getAttribute("data-note");
-      if (intervalEl) intervalEl.textContent = ""; // no interval when not selected
-      if (letterEl) letterEl.textContent = letter || "";
-      btn.querySelectorAll(".ghost").forEach((g) => g.classList.remove("ghost"));
-      // When inactive, both texts visible but we just show the note letter only
-      if (intervalEl) intervalEl.classList.add("ghost");
-    });
-  }
-
-  function showIntervals(rootLetter) {
-    const notes = boardEl.querySelectorAll(".note");
-    notes.forEach((btn) => {
-      const noteLetter = btn.getAttribute("data-note");
-      // Ensure style class for sharps remains if DOM was re-rendered/changed
-      if (noteLetter && noteLetter.includes('#')) {
-        btn.classList.add('sharp');
-      } else {
-        btn.classList.remove('sharp');
-      }
-      const intervalSteps =
-        (NOTE_ORDER.indexOf(noteLetter) - NOTE_ORDER.indexOf(rootLetter) + 12) % 12;
-      const intervalName = INTERVAL_BY_STEPS[intervalSteps];
+  function accidentalCount(names) {
+    return names.join('').replace(/[A-G]/g, '').length;
+  }
 
-      const intervalEl = btn.querySelector(".interval");
-      const letterEl = btn.querySelector(".letter");
-      if (intervalEl) intervalEl.textContent = intervalName;
-      if (letterEl) letterEl.textContent = noteLetter || "";
+  // Letter offset for each scale step: consecutive letters for seven-note scales, degree
+  // names (b3, #4, b5, #5, ...) for the others
+  function letterOffsets(steps) {
+    const sorted = steps.slice().sort((a, b) => a - b);
+    if (sorted.length === 7) return sorted.map((s, i) => [s, i]);
+    const has = s => sorted.includes(s);
+    return sorted.map((s) => {
+      if (s === 6) return [s, has(5) ? 4 : 3]; // b5 unless there is no 4th to clash with #4
+      if (s === 8) return [s, !has(7) && !has(9) ? 4 : 5]; // #5 in whole-tone/augmented scales
+      return [s, DEGREE_OFFSETS[s]];
+    });
+  }
 
-      // Highlight root
-      btn.classList.toggle("root", intervalSteps === 0);
+  // Written names of the tones ([[steps, letterOffset], ...]) above a written root
+  function spellFrom(rootName, tones) {
+    const pc = pitchOf(rootName);
+    const letter = letterOf(rootName);
+    const names = {};
+    tones.forEach(([steps, offset]) => {
+      names[Theory.NOTE_ORDER[(pc + steps) % 12]] = spell((pc + steps) % 12, (letter + offset) % 7);
+    });
+    return names;
+  }
 
-      // Scale highlighting logic
-      let isScaleNote = false;
-      if (selectedScale && SCALES[selectedScale]) {
-        if (SCALES[selectedScale].has(intervalSteps)) {
-          isScaleNote = true;
-        }
+  // Spell tones from a root note, trying both enharmonic roots and keeping the one with fewer
+  // accidentals (ties go to sharps) unless the preference fixes it.
+  // Returns { root, names: { note: name }, flats } where flats tells how to write other notes.
+  function spellTones(root, tones) {
+    const candidates = [root, FLAT_NAMES[pitchClass(root)]].filter((n, i, list) => list.indexOf(n) === i);
+    const spelled = candidates.map(rootName => ({ root: rootName, names: spellFrom(rootName, tones) }));
+    let best = spelled[0];
+    if (spelled.length > 1) {
+      if (preference === 'flats') {
+        best = spelled[1];
+      } else if (preference === 'auto') {
+        const counts = spelled.map(sp => accidentalCount(Object.keys(sp.names).map(n => sp.names[n])));
+        if (counts[1] < counts[0]) best = spelled[1];
       }
+    }
+    // A natural root takes its flavour from the tones (F major has a flat)
+    const written = Object.keys(best.names).map(n => best.names[n]);
+    best.flats = best.root.includes('b') || preference === 'flats' ||
+      (preference === 'auto' && best.root.length === 1 && written.some(n => n.includes('b')));
+    return best;
+  }
 
-      // Apply highlighting
-      if (selectedScale) {
-        if (isScaleNote) {
-          btn.classList.add('active-triad'); // Red outline for scale notes
-          btn.classList.remove('ghost'); // Show note
-          // Ensure visible
-          intervalEl && intervalEl.classList.remove("ghost");
-          letterEl && letterEl.classList.remove("ghost");
-        } else {
-          btn.classList.remove('active-triad');
-          btn.classList.add('ghost'); // Hide entire note
-        }
-      } else {
-        // Default behavior: show all intervals
-        btn.classList.remove('active-triad');
-        btn.classList.remove('ghost');
-        intervalEl && intervalEl.classList.remove("ghost");
-        letterEl && letterEl.classList.remove("ghost");
+  // Key context for a tonic note and scale steps. name(note) writes scale tones in the
+  // key; other notes are degrees of the tonic (auto) or use the key's sharps/flats. With no
+  // scale, only the preference and the tonic matter.
+  function forKey(tonic, steps) {
+    const key = spellTones(tonic, letterOffsets(steps || NATURAL_STEPS));
+    const chromatic = preference === 'auto'
+      ? spellFrom(key.root, DEGREE_OFFSETS.map((offset, s) => [s, offset]))
+      : null;
+    return {
+      tonic: key.root,
+      name(note) {
+        if (steps && key.names[note]) return key.names[note];
+        // Degrees that would need a double accidental (bb2 of Db) fall back to plain names
+        if (chromatic && !/##|bb/.test(chromatic[note].slice(1))) return chromatic[note];
+        return plain(note, steps ? key.flats : preference === 'flats');
       }
+    };
+  }
 
-      // Always ensure root is fully visible
-      if (intervalSteps === 0) {
-        btn.classList.remove('ghost');
-        intervalEl && intervalEl.classList.remove("ghost");
-        letterEl && letterEl.classList.remove("ghost");
-        // Optional: give root a red outline too if it's part of scale (it always is)
-        if (selectedScale) btn.classList.add('active-triad');
-      }
+  // Chord context: tones follow the chord's labels (R, b3, #5, bb7, 9, ...)
+  function forChord(root, chord) {
+    const tones = chord.steps.map((steps, i) => {
+      const number = parseInt(chord.labels[i].replace(/[^0-9]/g, ''), 10) || 1;
+      return [steps % 12, (number - 1) % 7];
     });
+    const spelled = spellTones(root, tones);
+    return {
+      root: spelled.root,
+      name(note) {
+        return spelled.names[note] || plain(note, spelled.flats);
+      }
+    };
   }
 
-  // Click delegation
-  boardEl.addEventListener("click", (e) => {
-    const btn = e.target.closest && e.target.closest(".note");
-    if (!btn) return;
-    const note = btn.getAttribute("data-note");
-    if (!note) return;
-
-    // Play the note sound
-    const openString = btn.getAttribute("data-open");
-    const fret = parseInt(btn.getAttribute("data-fret"), 10);
-    const stringIndex = parseInt(btn.getAttribute("data-string-index"), 10);
-    GuitarAudio.playNote(openString, fret, stringIndex);
+  // Name of a note with no context at all
+  function name(note) {
+    return plain(note, preference === 'flats');
+  }
 
-    if (activeRoot === note) {
-      clearIntervals();
-    } else {
-      activeRoot = note;
-      showIntervals(note);
+  // Interval between two written names, up to an octave: "M3", "A4", "d5", "U"
+  function interval(fromName, toName) {
+    const letterSteps = (letterOf(toName) - letterOf(fromName) + 7) % 7;
+    const steps = (pitchOf(toName) - pitchOf(fromName) + 12) % 12;
+    let diff = steps - NATURAL_STEPS[letterSteps];
+    if (diff > 6) diff -= 12;
+    if (diff < -6) diff += 12;
+    const number = letterSteps + 1;
+    if ([1, 4, 5].includes(number)) {
+      const quality = { '-2': 'dd', '-1': 'd', '0': 'P', '1': 'A', '2': 'AA' }[diff];
+      return number === 1 && diff === 0 ? 'U' : `${quality}${number}`;
     }
-  });
-
-  // Scale selection buttons
-  const scaleButtons = document.querySelectorAll('.btn-scale');
-  scaleButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Update active state
-      scaleButtons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+    return `${{ '-2': 'd', '-1': 'm', '0': 'M', '1': 'A', '2': 'AA' }[diff]}${number}`;
+  }
 
-      // Set scale
-      const scale = btn.dataset.scale;
-      selectedScale = scale === 'none' ? null : scale;
+  // Scale degree of a written name above a written tonic: "b3", "#4", "5"
+  function degree(tonicName, name) {
+    const letterSteps = (letterOf(name) - letterOf(tonicName) + 7) % 7;
+    let diff = (pitchOf(name) - pitchOf(tonicName) + 12) % 12 - NATURAL_STEPS[letterSteps];
+    if (diff > 6) diff -= 12;
+    if (diff < -6) diff += 12;
+    return `${ACCIDENTALS[diff] || ''}${letterSteps + 1}`;
+  }
 
-      // Re-render if root is selected
-      if (activeRoot) {
-        showIntervals(activeRoot);
-      }
-    });
-  });
+  function getPreference() {
+    return preference;
+  }
 
-  // Keyboard clear
-  window.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") clearIntervals();
-  });
+  function setPreference(id) {
+    if (!PREFERENCES.some(p => p.id === id)) return;
+    preference = id;
+    Store.write(STORAGE_KEY, id);
+    listeners.emit(id);
+  }
 
-  // Initialize default view: labels only (note letters), no intervals highlighted
-  clearIntervals();
+  return {
+    PREFERENCES: PREFERENCES,
+    spell: spell,
+    plain: plain,
+    forKey: forKey,
+    forChord: forChord,
+    name: name,
+    interval: interval,
+    degree: degree,
+    getPreference: getPreference,
+    setPreference: setPreference,
+    // Preference changed; returns an unsubscribe function
+    onChange: listeners.add
+  };
 })();
 
+// ============================================
+// Shared Instrument & Tuning Module
+// ============================================
+const Tuning = (function () {
+  const NOTE_ORDER = Theory.NOTE_ORDER;
 
+  // Flat and other enharmonic spellings accepted in custom tunings
+  const ENHARMONICS = {
+    'DB': 'C#', 'EB': 'D#', 'GB': 'F#', 'AB': 'G#', 'BB': 'A#',
+    'CB': 'B', 'FB': 'E', 'E#': 'F', 'B#': 'C'
+  };
 
-// Guitar Major Triads App (second instance)
-(function () {
-  /**
-   * Musical data
-   */
-  const NOTE_ORDER = [
-    "C",
-    "C#",
-    "D",
-    "D#",
-    "E",
-    "F",
-    "F#",
-    "G",
-    "G#",
-    "A",
-    "A#",
-    "B",
+  // Inlay positions
+  const GUITAR_MARKERS = { single: [3, 5, 7, 9, 15, 17, 19, 21], double: [12, 24] };
+  const UKULELE_MARKERS = { single: [5, 7, 10, 15], double: [12] };
+
+  // Instrument profiles. Tunings list strings low to high with octave numbers (A4 = 440 Hz),
+  // so each preset also fixes the instrument's register for the audio engine.
+  // The first tuning of each profile is its default.
+  const INSTRUMENTS = [
+    {
+      id: 'guitar', name: 'Guitar', frets: 22, markers: GUITAR_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'drop-d', name: 'Drop D', notes: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'dadgad', name: 'DADGAD', notes: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+        { id: 'open-g', name: 'Open G', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+        { id: 'half-step-down', name: 'Half-Step Down', notes: ['D#2', 'G#2', 'C#3', 'F#3', 'A#3', 'D#4'] }
+      ]
+    },
+    {
+      id: 'guitar-7', name: '7-String Guitar', frets: 24, markers: GUITAR_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'drop-a', name: 'Drop A', notes: ['A1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] }
+      ]
+    },
+    {
+      id: 'guitar-8', name: '8-String Guitar', frets: 24, markers: GUITAR_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['F#1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'drop-e', name: 'Drop E', notes: ['E1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] }
+      ]
+    },
+    {
+      id: 'bass-4', name: '4-String Bass', frets: 20, markers: GUITAR_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['E1', 'A1', 'D2', 'G2'] },
+        { id: 'drop-d', name: 'Drop D', notes: ['D1', 'A1', 'D2', 'G2'] }
+      ]
+    },
+    {
+      id: 'bass-5', name: '5-String Bass', frets: 24, markers: GUITAR_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['B0', 'E1', 'A1', 'D2', 'G2'] },
+        { id: 'high-c', name: 'High C', notes: ['E1', 'A1', 'D2', 'G2', 'C3'] }
+      ]
+    },
+    {
+      id: 'ukulele', name: 'Ukulele', frets: 15, markers: UKULELE_MARKERS,
+      tunings: [
+        { id: 'standard', name: 'Standard', notes: ['G4', 'C4', 'E4', 'A4'] },
+        { id: 'low-g', name: 'Low G', notes: ['G3', 'C4', 'E4', 'A4'] },
+        { id: 'baritone', name: 'Baritone', notes: ['D3', 'G3', 'B3', 'E4'] }
+      ]
+    }
   ];
 
-  // Standard tuning string notes from bottom to top: E, A, D, G, B, E
-  const STRINGS_LOW_TO_HIGH = ["E", "A", "D", "G", "B", "E"]; // low to high
+  let instrument = INSTRUMENTS[0];
+  let current = fromPreset(instrument.tunings[0].id);
+  const listeners = createListeners();
 
-  // UI constants
-  const FRET_COUNT = 22;
+  // Parse "E", "Bb", "f#3" etc. into { letter, octave } (octave null when omitted)
+  function parseNote(token) {
+    const match = /^([A-Ga-g])([#b]?)(\d)?$/.exec(token);
+    if (!match) return null;
+    let letter = match[1].toUpperCase() + match[2];
+    letter = ENHARMONICS[letter.toUpperCase()] || letter;
+    let octave = match[3] === undefined ? null : parseInt(match[3], 10);
+    // Cb and B# cross the octave boundary
+    if (octave !== null && /^Cb$/i.test(match[1] + match[2])) octave -= 1;
+    if (octave !== null && /^B#$/i.test(match[1] + match[2])) octave += 1;
+    return { letter: letter, octave: octave };
+  }
 
-  // DOM for second instance
-  const boardEl = document.getElementById("fretboard-2");
-  const fretNumberEl = document.getElementById("fret-numbers-2");
-  const markerEl = document.getElementById("fret-markers-2");
-  const fretNumberBottomEl = document.getElementById("fret-numbers-bottom-2");
-  const markerBottomEl = document.getElementById("fret-markers-bottom-2");
-  if (!boardEl) return;
+  function toMidi(letter, octave) {
+    return (octave + 1) * 12 + NOTE_ORDER.indexOf(letter);
+  }
 
-  // Ensure CSS var is set (global)
-  document.documentElement.style.setProperty("--fret-count", String(FRET_COUNT + 1));
+  function noteName(midi) {
+    return NOTE_ORDER[((midi % 12) + 12) % 12];
+  }
 
-  function renderFretNumbers(targetEl) {
-    if (!targetEl) return;
-    let html = '';
-    html += `<div style="grid-column:1"></div>`; // label spacer
-    html += `<div style="grid-column:2"></div>`; // nut spacer
-    for (let f = 0; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      html += `<div style="grid-column:${col}">${f}</div>`;
-    }
-    targetEl.innerHTML = html;
+  // Build a tuning from one of the current instrument's presets
+  function fromPreset(id) {
+    const preset = instrument.tunings.find(p => p.id === id);
+    if (!preset) return null;
+    return {
+      id: preset.id,
+      name: preset.name,
+      strings: preset.notes.map((n) => {
+        const parsed = parseNote(n);
+        return toMidi(parsed.letter, parsed.octave);
+      })
+    };
   }
 
-  function renderFretMarkers(targetEl) {
-    if (!targetEl) return;
-    const singleDotFrets = new Set([3, 5, 7, 9, 15, 17, 19, 21]);
-    let html = '';
-    for (let f = 0; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      if (singleDotFrets.has(f)) {
-        html += `<div class="dot" style="grid-column:${col}" aria-hidden="true"></div>`;
-      } else if (f === 12) {
-        html += `<div class="double" style="grid-column:${col}" aria-hidden="true"><div class="dot"></div><div class="dot"></div></div>`;
+  // Parse a free-form tuning, low to high: "D A D G B E", "DADGAD" or "C2 G2 D3 G3 B3 D4".
+  // Notes without an octave take the octave closest to the instrument's default tuning
+  // at the same position (so re-entrant ukulele tunings stay re-entrant).
+  // Returns null if the text is not a valid tuning for the current instrument.
+  function parse(text) {
+    const source = String(text || '').trim();
+    const reference = fromPreset(instrument.tunings[0].id).strings;
+    let tokens;
+    if (/[\s,]/.test(source)) {
+      tokens = source.split(/[\s,]+/);
+    } else {
+      // Compact form such as "DADGAD" or "EbAbDbGbBbEb". In lower case "gb" is more likely
+      // G then B ("eadgbe") than G flat, so natural letters are tried first there.
+      const flats = /[A-Ga-g][#b]?\d?/g;
+      const naturals = /[A-Ga-g]#?\d?/g;
+      const patterns = /[A-G]/.test(source) ? [flats, naturals] : [naturals, flats];
+      tokens = patterns.map(pattern => source.match(pattern))
+        .find(match => match && match.join('') === source && match.length === reference.length);
+      if (!tokens) return null;
+    }
+    if (tokens.length !== reference.length) return null;
+
+    const strings = [];
+    for (let i = 0; i < tokens.length; i += 1) {
+      const parsed = parseNote(tokens[i]);
+      if (!parsed) return null;
+      if (parsed.octave !== null) {
+        strings.push(toMidi(parsed.letter, parsed.octave));
+      } else {
+        // Nearest pitch with this letter to the reference string (ties go down)
+        const pc = NOTE_ORDER.indexOf(parsed.letter);
+        let diff = ((pc - reference[i]) % 12 + 12) % 12;
+        if (diff >= 6) diff -= 12;
+        strings.push(reference[i] + diff);
       }
     }
-    targetEl.innerHTML = html;
+
+    return fromStrings(strings);
   }
 
-  function noteUp(baseNote, semitoneSteps) {
-    const baseIndex = NOTE_ORDER.indexOf(baseNote);
-    const idx = (baseIndex + semitoneSteps) % 12;
-    return NOTE_ORDER[idx];
+  // Tuning for open-string MIDI numbers (low to high): the matching preset of the current
+  // instrument, or a custom tuning. Null if the string count doesn't fit the instrument.
+  function fromStrings(strings) {
+    if (strings.length !== instrument.tunings[0].notes.length || strings.some(isNaN)) return null;
+    const preset = instrument.tunings.find(p => fromPreset(p.id).strings.join() === strings.join());
+    return preset ? fromPreset(preset.id) : { id: 'custom', name: strings.map(noteName).join(' '), strings: strings };
   }
 
-  function buildBoard() {
-    const nutDiv = `<div class=\"nut\" aria-hidden=\"true\"></div>`;
-    const stringsTopToBottom = [...STRINGS_LOW_TO_HIGH].reverse();
-    let html = nutDiv;
-    stringsTopToBottom.forEach((openNote, rowIndex) => {
-      html += `<div class=\"string-label cell\">${openNote}</div>`;
-      for (let fret = 0; fret <= FRET_COUNT; fret += 1) {
-        const stepsFromOpen = fret;
-        const noteName = noteUp(openNote, stepsFromOpen);
-        const sharpClass = noteName.includes('#') ? ' sharp' : '';
-        html += `<div class=\"cell\" data-string=\"${openNote}\" data-fret=\"${fret}\">\n          <button class=\"note${sharpClass}\" data-note=\"${noteName}\" data-open=\"${openNote}\" data-fret=\"${fret}\" data-string-index=\"${rowIndex}\" aria-label=\"${noteName} at fret ${fret} on ${openNote} string\">\n            <span class=\"interval ghost\"></span>\n            <span class=\"letter\">${noteName}</span>\n          </button>\n        </div>`;
-      }
-    });
-    boardEl.innerHTML = html;
+  function get() {
+    return current;
   }
 
-  renderFretNumbers(fretNumberEl);
-  renderFretMarkers(markerEl);
-  if (fretNumberBottomEl) renderFretNumbers(fretNumberBottomEl);
-  if (markerBottomEl) renderFretMarkers(markerBottomEl);
-  buildBoard();
+  function set(tuning) {
+    if (!tuning) return;
+    current = tuning;
+    listeners.emit(current);
+  }
 
-  let activeRoot = null;
+  function getInstrument() {
+    return instrument;
+  }
 
-  function clearTriad() {
-    activeRoot = null;
-    const notes = boardEl.querySelectorAll('.note');
-    notes.forEach((btn) => {
-      btn.classList.remove('root');
-      btn.classList.remove('active-triad');
-      const intervalEl = btn.querySelector('.interval');
-      const letterEl = btn.querySelector('.letter');
-      const letter = btn.getAttribute('data-note');
-      if (intervalEl) intervalEl.textContent = '';
-      if (letterEl) letterEl.textContent = letter || '';
-      intervalEl && intervalEl.classList.add('ghost');
-      letterEl && letterEl.classList.remove('ghost');
-    });
+  // Switch instrument profile and reset to its default tuning
+  function setInstrument(id) {
+    const profile = INSTRUMENTS.find(i => i.id === id);
+    if (!profile) return;
+    instrument = profile;
+    set(fromPreset(profile.tunings[0].id));
   }
 
-  function showMajorTriad(rootLetter, rootStringIndex, rootFret) {
-    const triadSet = new Set([0, 4, 7]); // R, M3, P5
+  // Open string letters, low to high
+  function openNotes() {
+    return current.strings.map(noteName);
+  }
 
-    // Get specific triad positions for red outline
-    const triadPositions = GuitarAudio.getTriadNotes(rootStringIndex, rootFret, true);
-    const positionKeys = new Set(triadPositions.map(n => `${n.stringIndex}-${n.fret}`));
+  return {
+    INSTRUMENTS: INSTRUMENTS,
+    getInstrument: getInstrument,
+    setInstrument: setInstrument,
+    fromPreset: fromPreset,
+    fromStrings: fromStrings,
+    parse: parse,
+    get: get,
+    set: set,
+    // Tuning or instrument changed; returns an unsubscribe function
+    onChange: listeners.add,
+    openNotes: openNotes,
+    noteName: noteName
+  };
+})();
 
-    const notes = boardEl.querySelectorAll('.note');
-    notes.forEach((btn) => {
-      const noteLetter = btn.getAttribute('data-note');
-      if (!noteLetter) return;
-      // keep sharp styling consistent
-      if (noteLetter.includes('#')) {
-        btn.classList.add('sharp');
-      } else {
-        btn.classList.remove('sharp');
-      }
-      const intervalSteps = (NOTE_ORDER.indexOf(noteLetter) - NOTE_ORDER.indexOf(rootLetter) + 12) % 12;
-      const intervalEl = btn.querySelector('.interval');
-      const letterEl = btn.querySelector('.letter');
-
-      const btnStringIndex = btn.getAttribute('data-string-index');
-      const btnFret = btn.getAttribute('data-fret');
-      const posKey = `${btnStringIndex}-${btnFret}`;
-
-      if (triadSet.has(intervalSteps)) {
-        const label = intervalSteps === 0 ? 'R' : intervalSteps === 4 ? '3' : '5';
-        if (intervalEl) intervalEl.textContent = label;
-        if (letterEl) letterEl.textContent = noteLetter || '';
-        intervalEl && intervalEl.classList.remove('ghost');
-        letterEl && letterEl.classList.remove('ghost');
-        btn.classList.toggle('root', intervalSteps === 0);
-
-        if (positionKeys.has(posKey)) {
-          btn.classList.add('active-triad');
-        } else {
-          btn.classList.remove('active-triad');
-        }
-        btn.classList.remove('ghost'); // Show note
-      } else {
-        if (intervalEl) intervalEl.textContent = '';
-        if (letterEl) letterEl.textContent = noteLetter || '';
-        intervalEl && intervalEl.classList.add('ghost');
-        letterEl && letterEl.classList.add('ghost');
-        btn.classList.remove('root');
-        btn.classList.remove('active-triad');
-        btn.classList.add('ghost'); // Hide entire note
-      }
-    });
+// ============================================
+// Scale Library (built-in catalog + user scales)
+// ============================================
+// User-built scales are kept in localStorage and offered alongside the built-ins.
+// Scales are { id, name, group, steps, set, custom } where set is a Set of steps.
+const ScaleLibrary = (function () {
+  const STORAGE_KEY = 'guitar-intervals.custom-scales';
+  const CUSTOM_GROUP = 'My Scales';
+  const listeners = createListeners();
+  let customScales = load();
+  let draft = null;
+
+  function withSet(scale) {
+    return Object.assign({}, scale, { set: new Set(scale.steps) });
   }
 
-  boardEl.addEventListener('click', (e) => {
-    const btn = e.target.closest && e.target.closest('.note');
-    if (!btn) return;
-    const note = btn.getAttribute('data-note');
-    if (!note) return;
+  function load() {
+    const saved = Store.readJson(STORAGE_KEY, []);
+    return Array.isArray(saved) ? saved : [];
+  }
 
-    if (activeRoot === note) {
-      clearTriad();
-    } else {
-      activeRoot = note;
-      // Play the major triad (Root, Major 3rd, Perfect 5th) at the clicked pitch
-      const openString = btn.getAttribute('data-open');
-      const fret = parseInt(btn.getAttribute('data-fret'), 10);
-      const stringIndex = parseInt(btn.getAttribute('data-string-index'), 10);
+  function persist() {
+    Store.writeJson(STORAGE_KEY, customScales);
+  }
 
-      showMajorTriad(note, stringIndex, fret);
+  function all() {
+    return Theory.SCALE_CATALOG
+      .concat(customScales.map(s => Object.assign({ group: CUSTOM_GROUP, custom: true }, s)))
+      .map(withSet);
+  }
 
-      const rootFreq = GuitarAudio.getFrequency(openString, fret, stringIndex);
-      console.log('Major Triad - String:', openString, 'Fret:', fret, 'StringIndex:', stringIndex, 'RootFreq:', rootFreq);
-      GuitarAudio.playTriad(rootFreq, [0, 4, 7]);
-    }
-  });
+  // Look up a scale by id ("draft" is the unsaved scale in the builder); null if unknown
+  function get(id) {
+    if (id === 'draft' && draft) return withSet(draft);
+    return all().find(s => s.id === id) || null;
+  }
 
-  window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') clearTriad();
-  });
+  function slug(name) {
+    return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
 
-  clearTriad();
-})();
+  // Save (or overwrite by name) a user scale; the root is always included.
+  // Returns the saved scale, or null if the name is empty.
+  function saveCustom(name, steps) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName || !slug(cleanName)) return null;
+    const scale = {
+      id: `custom-${slug(cleanName)}`,
+      name: cleanName,
+      steps: Array.from(new Set([0].concat(steps))).sort((a, b) => a - b)
+    };
+    customScales = customScales.filter(s => s.id !== scale.id).concat([scale]);
+    persist();
+    notify();
+    return get(scale.id);
+  }
 
+  function removeCustom(id) {
+    customScales = customScales.filter(s => s.id !== id);
+    persist();
+    notify();
+  }
+
+  // Unsaved scale being edited in the builder
+  function setDraft(steps) {
+    draft = { id: 'draft', name: 'Unsaved Scale', group: CUSTOM_GROUP, steps: Array.from(new Set([0].concat(steps))).sort((a, b) => a - b) };
+  }
+
+  function notify() {
+    listeners.emit();
+  }
+
+  return {
+    all: all,
+    get: get,
+    saveCustom: saveCustom,
+    removeCustom: removeCustom,
+    setDraft: setDraft,
+    // User scales saved or removed; returns an unsubscribe function
+    onChange: listeners.add
+  };
+})();
+
+// ============================================
+// Scale Positions
+// ============================================
+// Splits a scale into fingering boxes: the five CAGED shapes, or one three-notes-per-string
+// pattern starting on each scale degree (two per string for pentatonic and smaller scales).
+// Boxes list { stringIndex, fret, finger } with row indexes (0 = highest string) and
+// finger 0 for open strings.
+const ScalePositions = (function () {
+  const SYSTEMS = {
+    'caged': { name: 'CAGED' },
+    '3nps': { name: '3 notes per string' }
+  };
+
+  // Each CAGED shape: the string holding its root (counted up from the lowest of the six
+  // guitar strings) and the fret window around that root. Minor-3rd scales use the shapes
+  // of their relative major.
+  const CAGED_SHAPES = [
+    { name: 'C', anchor: 1, from: -3, to: 1 },
+    { name: 'A', anchor: 1, from: -1, to: 3 },
+    { name: 'G', anchor: 0, from: -3, to: 1 },
+    { name: 'E', anchor: 0, from: -1, to: 2 },
+    { name: 'D', anchor: 2, from: -1, to: 3 }
+  ];
+
+  function count(system, scale) {
+    return system === 'caged' ? CAGED_SHAPES.length : scale.steps.length;
+  }
+
+  function inScale(tonic, scale, midi) {
+    return scale.set.has(Theory.interval(tonic, Tuning.noteName(midi)));
+  }
+
+  // One finger per fret from the lowest fretted note; a string stretching over five frets
+  // puts the first note on finger 1 and the rest on the fret offset
+  function fingers(frets, base) {
+    const reach = Math.max(...frets) - base;
+    return frets.map((fret) => {
+      if (fret === 0) return 0;
+      return reach <= 3 ? fret - base + 1 : Math.max(1, fret - base);
+    });
+  }
+
+  // Every CAGED box for the key, in order up the neck
+  function cagedBoxes(tonic, scale) {
+    const strings = Tuning.get().strings;
+    const frets = Tuning.getInstrument().frets;
+    const lowest = Math.max(0, strings.length - 6); // extra low strings on 7/8-string guitars
+    const shapeRoot = scale.set.has(4) || !scale.set.has(3) ? tonic : Theory.noteUp(tonic, 3);
+
+    return CAGED_SHAPES.map((shape) => {
+      const anchor = Math.min(lowest + shape.anchor, strings.length - 1);
+      let rootFret = Theory.interval(Tuning.noteName(strings[anchor]), shapeRoot);
+      if (rootFret + shape.from < -1) rootFret += 12;
+      const from = Math.max(0, rootFret + shape.from);
+      const to = Math.min(frets, rootFret + shape.to);
+
+      // Scale tones in the window, low string to high
+      const byString = strings.map((openMidi) => {
+        const stringFrets = [];
+        for (let fret = from; fret <= to; fret += 1) {
+          if (inScale(tonic, scale, openMidi + fret)) stringFrets.push(fret);
+        }
+        return stringFrets;
+      });
+      // A pitch found on two neighbouring strings stays on the one with fewer notes
+      // (the lower string on a tie)
+      for (let s = 0; s + 1 < strings.length; s += 1) {
+        const lower = byString[s];
+        const upper = byString[s + 1];
+        lower.slice().forEach((fret) => {
+          const upperFret = strings[s] + fret - strings[s + 1];
+          if (!upper.includes(upperFret)) return;
+          if (lower.length > upper.length) {
+            lower.splice(lower.indexOf(fret), 1);
+          } else {
+            upper.splice(upper.indexOf(upperFret), 1);
+          }
+        });
+      }
+
+      const base = Math.max(1, from);
+      const notes = [];
+      byString.forEach((stringFrets, s) => {
+        if (!stringFrets.length) return;
+        const stringFingers = fingers(stringFrets, base);
+        stringFrets.forEach((fret, i) => {
+          notes.push({ stringIndex: strings.length - 1 - s, fret: fret, finger: stringFingers[i] });
+        });
+      });
+      return { name: `${shape.name} shape`, notes: notes, minFret: from, maxFret: to };
+    }).sort((a, b) => a.minFret - b.minFret);
+  }
+
+  // Pattern starting on scale degree `index` on the lowest string; null when none of it is
+  // on the neck
+  function threeNpsBox(tonic, scale, index) {
+    const strings = Tuning.get().strings;
+    const frets = Tuning.getInstrument().frets;
+    const perString = scale.steps.length >= 6 ? 3 : 2;
+    const steps = scale.steps.slice().sort((a, b) => a - b);
+    const startNote = Theory.noteUp(tonic, steps[index]);
+    let midi = strings[0] + Theory.interval(Tuning.noteName(strings[0]), startNote);
+
+    const notes = [];
+    strings.forEach((openMidi, s) => {
+      const stringFrets = [];
+      for (let n = 0; n < perString; n += 1) {
+        while (!inScale(tonic, scale, midi)) midi += 1;
+        const fret = midi - openMidi;
+        if (fret >= 0 && fret <= frets) stringFrets.push(fret);
+        midi += 1;
+      }
+      if (!stringFrets.length) return;
+      const fretted = stringFrets.filter(f => f > 0);
+      const stringFingers = fingers(stringFrets, fretted.length ? Math.min(...fretted) : 1);
+      stringFrets.forEach((fret, i) => {
+        notes.push({ stringIndex: strings.length - 1 - s, fret: fret, finger: stringFingers[i] });
+      });
+    });
+    if (!notes.length) return null;
+    const fretsUsed = notes.map(n => n.fret);
+    return {
+      name: `Position ${index + 1}`,
+      notes: notes,
+      minFret: Math.min(...fretsUsed),
+      maxFret: Math.max(...fretsUsed)
+    };
+  }
+
+  // Box `index` (0-based, wraps around) of a system for a tonic letter and ScaleLibrary scale,
+  // with its `index`. Boxes with no notes on the neck (high positions on a short neck) are
+  // skipped, moving in the direction of `delta` (default up); null when none fit.
+  function box(system, tonic, scale, index, delta) {
+    const total = count(system, scale);
+    const direction = delta < 0 ? -1 : 1;
+    for (let n = 0; n < total; n += 1) {
+      const i = (((index + n * direction) % total) + total) % total;
+      const found = system === 'caged' ? cagedBoxes(tonic, scale)[i] : threeNpsBox(tonic, scale, i);
+      if (found && found.notes.length) return Object.assign(found, { index: i });
+    }
+    return null;
+  }
+
+  return {
+    SYSTEMS: SYSTEMS,
+    count: count,
+    box: box
+  };
+})();
+
+// ============================================
+// Scale Sequences
+// ============================================
+// Practice orders for the notes of a scale or arpeggio box: straight up or down, in
+// thirds (1-3, 2-4, 3-5, ...) or in groups of four (1234, 2345, ...).
+const Sequences = (function () {
+  const PATTERNS = [
+    { id: 'ascending', name: 'Ascending' },
+    { id: 'descending', name: 'Descending' },
+    { id: 'thirds', name: 'In thirds' },
+    { id: 'fours', name: 'Groups of four' }
+  ];
+
+  // Indexes into `count` notes (low to high) in the order of a pattern
+  function order(count, pattern) {
+    const up = Array.from({ length: count }, (_, i) => i);
+    if (pattern === 'descending') return up.reverse();
+    if (pattern === 'thirds' && count >= 3) {
+      return up.slice(0, count - 2).reduce((list, i) => list.concat(i, i + 2), []);
+    }
+    if (pattern === 'fours' && count >= 4) {
+      return up.slice(0, count - 3).reduce((list, i) => list.concat(i, i + 1, i + 2, i + 3), []);
+    }
+    return up;
+  }
+
+  // Positions ({ stringIndex, fret, midi, ... }) -> the same positions in pattern order.
+  // Sorted by pitch; a pitch found twice is played on the lower string.
+  function walk(positions, pattern) {
+    const byPitch = new Map();
+    positions.slice()
+      .sort((a, b) => a.midi - b.midi || b.stringIndex - a.stringIndex)
+      .forEach((pos) => {
+        if (!byPitch.has(pos.midi)) byPitch.set(pos.midi, pos);
+      });
+    const notes = [...byPitch.values()];
+    return order(notes.length, pattern).map(i => notes[i]);
+  }
+
+  return {
+    PATTERNS: PATTERNS,
+    order: order,
+    walk: walk
+  };
+})();
+
+// ============================================
+// Chord Voicing Generator
+// ============================================
+// Lists every playable voicing of a chord in the current tuning: one chord tone per string,
+// all fretted notes within a fret span. String sets use guitar numbering in their names
+// ("1-2-3" = the three highest strings) and row indexes internally (0 = highest string).
+const Voicings = (function () {
+  const INVERSION_NAMES = ['Root position', '1st inversion', '2nd inversion', '3rd inversion'];
+  const INVERSION_SHORT = ['Root', '1st', '2nd', '3rd'];
+
+  // Chord tones dropped first when a chord has more notes than the instrument has strings
+  const DROPPABLE_STEPS = [7, 17, 14];
+
+  // All orderings of a list (chords have at most six tones)
+  function permutations(items) {
+    if (items.length <= 1) return [items];
+    const result = [];
+    items.forEach((item, i) => {
+      const rest = items.slice(0, i).concat(items.slice(i + 1));
+      permutations(rest).forEach(p => result.push([item].concat(p)));
+    });
+    return result;
+  }
+
+  // Tones to voice: { steps, interval, degree } where degree indexes chord.steps
+  function chordTones(chord, stringCount) {
+    const tones = chord.steps.map((steps, i) => ({ steps: steps, interval: chord.labels[i], degree: i }));
+    DROPPABLE_STEPS.forEach((steps) => {
+      const i = tones.findIndex(t => t.steps === steps);
+      if (tones.length > stringCount && i !== -1) tones.splice(i, 1);
+    });
+    return tones.slice(0, stringCount);
+  }
+
+  // Number of strings a chord uses on the current instrument
+  function voiceCount(chordId) {
+    const chord = Theory.CHORDS[chordId] || Theory.CHORDS.major;
+    return chordTones(chord, Tuning.get().strings.length).length;
+  }
+
+  // Groups of `size` neighbouring strings, highest strings first
+  function adjacentStringSets(size, stringCount) {
+    const sets = [];
+    for (let top = 0; top + size <= stringCount; top += 1) {
+      const set = [];
+      for (let row = top; row < top + size; row += 1) set.push(row);
+      sets.push(set);
+    }
+    return sets;
+  }
+
+  // Every choice of `size` strings (row indexes ascending)
+  function stringCombinations(size, stringCount) {
+    const sets = [];
+    const pick = (start, set) => {
+      if (set.length === size) {
+        sets.push(set.slice());
+        return;
+      }
+      for (let row = start; row < stringCount; row += 1) {
+        set.push(row);
+        pick(row + 1, set);
+        set.pop();
+      }
+    };
+    pick(0, []);
+    return sets;
+  }
+
+  // Strings skipped inside a voicing's string set (0 for adjacent strings)
+  function gaps(voicing) {
+    const rows = voicing.notes.map(n => n.stringIndex);
+    return Math.max(...rows) - Math.min(...rows) + 1 - rows.length;
+  }
+
+  // "2-3-4" -> [1, 2, 3]
+  function parseStringSet(name) {
+    return String(name).split('-').map(n => parseInt(n, 10) - 1);
+  }
+
+  // [1, 2, 3] -> "2-3-4"
+  function stringSetName(rows) {
+    return [...rows].sort((a, b) => a - b).map(row => row + 1).join('-');
+  }
+
+  function inversionName(voicing) {
+    return INVERSION_NAMES[voicing.inversion] || `${voicing.bass.interval} in bass`;
+  }
+
+  // options:
+  //   span       frets one hand covers, default 4. Open strings don't count, but are only
+  //              combined with fretted notes inside the first `span` frets (open position).
+  //   stringSets array of row-index arrays to allow; default every set of the right size
+  //   inversion  0 root position, 1 first, 2 second, 3 third; null for any
+  //   position   { stringIndex, fret } that every voicing must contain
+  // Returns voicings ordered up the neck:
+  //   { notes: [{ stringIndex, fret, interval, midi }], bass, inversion, strings, minFret, maxFret }
+  function generate(rootNote, chordId, options) {
+    const opts = Object.assign({ span: 4, stringSets: null, inversion: null, position: null }, options);
+    const chord = Theory.CHORDS[chordId] || Theory.CHORDS.major;
+    const strings = Tuning.get().strings;
+    const stringCount = strings.length;
+    const fretCount = Tuning.getInstrument().frets;
+    const openMidi = row => strings[stringCount - 1 - row];
+    const rootPc = Theory.NOTE_ORDER.indexOf(rootNote);
+    const tones = chordTones(chord, stringCount);
+    const sets = (opts.stringSets || stringCombinations(tones.length, stringCount))
+      .filter(set => set.length === tones.length && set.every(row => row >= 0 && row < stringCount));
+
+    // Every fret on a string that sounds the pitch class
+    const fretsFor = (row, pc) => {
+      const frets = [];
+      for (let f = (((pc - openMidi(row)) % 12) + 12) % 12; f <= fretCount; f += 12) frets.push(f);
+      return frets;
+    };
+
+    const results = [];
+    const seen = new Set();
+    sets.forEach((set) => {
+      permutations(tones).forEach((order) => {
+        const choices = set.map((row, i) => fretsFor(row, (rootPc + order[i].steps) % 12));
+        const frets = [];
+
+        // Depth-first over the fret choices, pruning as soon as the span is exceeded
+        const walk = (i, low, high, hasOpen) => {
+          if (i === set.length) {
+            addVoicing(set, order, frets);
+            return;
+          }
+          choices[i].forEach((fret) => {
+            const nextLow = fret > 0 ? Math.min(low, fret) : low;
+            const nextHigh = fret > 0 ? Math.max(high, fret) : high;
+            const nextOpen = hasOpen || fret === 0;
+            if (nextHigh - nextLow >= opts.span) return;
+            if (nextOpen && nextHigh > opts.span) return;
+            frets[i] = fret;
+            walk(i + 1, nextLow, nextHigh, nextOpen);
+          });
+        };
+        walk(0, Infinity, -Infinity, false);
+      });
+    });
+
+    function addVoicing(set, order, frets) {
+      const notes = set.map((row, i) => ({
+        stringIndex: row,
+        fret: frets[i],
+        interval: order[i].interval,
+        degree: order[i].degree,
+        midi: openMidi(row) + frets[i]
+      }));
+      const key = notes.map(n => `${n.stringIndex}-${n.fret}`).sort().join();
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      if (opts.position && !notes.some(n => n.stringIndex === opts.position.stringIndex && n.fret === opts.position.fret)) return;
+      const bass = notes.reduce((low, n) => (n.midi < low.midi ? n : low));
+      if (opts.inversion !== null && bass.degree !== opts.inversion) return;
+
+      const fretted = notes.map(n => n.fret).filter(f => f > 0);
+      results.push({
+        notes: notes.sort((a, b) => b.stringIndex - a.stringIndex),
+        bass: bass,
+        inversion: bass.degree,
+        strings: stringSetName(set),
+        minFret: fretted.length ? Math.min(...fretted) : 0,
+        maxFret: fretted.length ? Math.max(...fretted) : 0
+      });
+    }
+
+    return results.sort((a, b) =>
+      a.minFret - b.minFret || a.maxFret - b.maxFret || b.notes[0].stringIndex - a.notes[0].stringIndex);
+  }
+
+  // Suggested fingers for a shape (notes with stringIndex and fret; one note per string).
+  // Fretted notes take fingers in order of fret, low string first, one finger per fret where
+  // there is room; more than four fretted notes lay a first-finger barre across the lowest
+  // fret. Returns { notes (copies with finger, null when open or out of fingers), barre },
+  // barre being { fret, from, to } with rows from the low string to the high one, or null.
+  function fingering(notes) {
+    const fretted = notes.filter(n => n.fret > 0)
+      .sort((a, b) => a.fret - b.fret || b.stringIndex - a.stringIndex);
+    const fingers = new Map();
+    let barre = null;
+    let rest = fretted;
+
+    if (fretted.length > 4) {
+      const lowest = fretted.filter(n => n.fret === fretted[0].fret);
+      const from = Math.max(...lowest.map(n => n.stringIndex));
+      const to = Math.min(...lowest.map(n => n.stringIndex));
+      // Every string under the barre has to be fretted at or above it
+      const covered = notes.filter(n => n.stringIndex <= from && n.stringIndex >= to);
+      if (lowest.length > 1 && covered.length === from - to + 1 && covered.every(n => n.fret >= fretted[0].fret)) {
+        barre = { fret: fretted[0].fret, from: from, to: to };
+        lowest.forEach(n => fingers.set(n, 1));
+        rest = fretted.slice(lowest.length);
+      }
+    }
+
+    const base = fretted.length ? fretted[0].fret : 0;
+    let finger = barre ? 1 : 0;
+    rest.forEach((n, i) => {
+      const left = rest.length - i - 1;
+      finger = Math.max(finger + 1, Math.min(n.fret - base + 1, 4 - left));
+      fingers.set(n, finger <= 4 ? finger : null);
+    });
+
+    return {
+      notes: notes.map(n => Object.assign({}, n, { finger: fingers.has(n) ? fingers.get(n) : null })),
+      barre: barre
+    };
+  }
+
+  // Index of the most playable voicing: contains `position` (when given), smallest stretch,
+  // neighbouring strings, root position, then closest to `position`
+  function bestIndex(voicings, position) {
+    let best = 0;
+    let bestScore = Infinity;
+    voicings.forEach((v, i) => {
+      let score = (v.maxFret - v.minFret) * 10 + gaps(v) * 15 + (v.inversion === 0 ? 0 : 5);
+      if (position) {
+        const contains = v.notes.some(n => n.stringIndex === position.stringIndex && n.fret === position.fret);
+        score += (contains ? 0 : 1000) + Math.abs((v.minFret + v.maxFret) / 2 - position.fret);
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    });
+    return best;
+  }
+
+  // Index of the voicing that leads most smoothly from `previous` (a voicing): least total
+  // movement of the voices, paired from the bass up, then least hand shift, stretch and
+  // skipped strings. Without a previous voicing this is bestIndex().
+  function nearestIndex(voicings, previous) {
+    if (!previous) return bestIndex(voicings);
+    const pitches = v => v.notes.map(n => n.midi).sort((a, b) => a - b);
+    const center = v => (v.minFret + v.maxFret) / 2;
+    const from = pitches(previous);
+    let best = 0;
+    let bestScore = Infinity;
+    voicings.forEach((v, i) => {
+      const to = pitches(v);
+      let motion = 0;
+      for (let k = 0; k < Math.max(from.length, to.length); k += 1) {
+        motion += Math.abs(to[Math.min(k, to.length - 1)] - from[Math.min(k, from.length - 1)]);
+      }
+      const score = motion * 2 + Math.abs(center(v) - center(previous)) + (v.maxFret - v.minFret) * 3 + gaps(v) * 5;
+      if (score < bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    });
+    return best;
+  }
+
+  return {
+    generate: generate,
+    bestIndex: bestIndex,
+    nearestIndex: nearestIndex,
+    fingering: fingering,
+    voiceCount: voiceCount,
+    adjacentStringSets: adjacentStringSets,
+    parseStringSet: parseStringSet,
+    stringSetName: stringSetName,
+    inversionName: inversionName,
+    INVERSION_NAMES: INVERSION_NAMES,
+    INVERSION_SHORT: INVERSION_SHORT
+  };
+})();
+
+// ============================================
+// Chord Recognition
+// ============================================
+// Names a set of pitches with every root and Theory.CHORDS quality that fits their pitch
+// classes. Chords of four or more tones may leave out the 5th, and 11th/13th chords the 9th,
+// as they usually are on guitar. A bass note other than the root makes a slash chord.
+const ChordFinder = (function () {
+  // Steps (mod 12) a chord can do without
+  function optionalSteps(chord) {
+    const optional = new Set();
+    if (chord.steps.length >= 4) optional.add(7);
+    if (chord.steps.length >= 6) optional.add(2);
+    return optional;
+  }
+
+  // MIDI notes -> matches, best first: [{ root, quality, bass, omitted, name }]. Root and bass
+  // are sharp names (Theory.NOTE_ORDER); name is spelled for the chord, e.g. "Am7/C".
+  // Root position beats inversions, then fewer missing tones, then simpler qualities.
+  function identify(midis) {
+    if (!midis.length) return [];
+    const bassMidi = Math.min(...midis);
+    const bass = Theory.NOTE_ORDER[bassMidi % 12];
+    const pcs = new Set(midis.map(m => m % 12));
+    if (pcs.size < 3) return [];
+
+    const matches = [];
+    const qualities = Object.keys(Theory.CHORDS);
+    pcs.forEach((rootPc) => {
+      qualities.forEach((quality, order) => {
+        const chord = Theory.CHORDS[quality];
+        const tones = new Set(chord.steps.map(s => (s + rootPc) % 12));
+        if (![...pcs].every(pc => tones.has(pc))) return;
+        const optional = optionalSteps(chord);
+        const missing = chord.steps.map(s => s % 12).filter(s => !pcs.has((s + rootPc) % 12));
+        if (!missing.every(s => optional.has(s))) return;
+
+        const root = Theory.NOTE_ORDER[rootPc];
+        const spelling = Spelling.forChord(root, chord);
+        const slash = bass === root ? '' : `/${spelling.name(bass)}`;
+        matches.push({
+          root: root,
+          quality: quality,
+          bass: bass,
+          omitted: missing.length,
+          name: `${spelling.root}${chord.symbol}${slash}`,
+          score: (slash ? 10 : 0) + missing.length * 3 + order * 0.1
+        });
+      });
+    });
+    return matches.sort((a, b) => a.score - b.score).map(({ score, ...match }) => match);
+  }
+
+  return {
+    identify: identify
+  };
+})();
+
+// ============================================
+// Chord Progressions
+// ============================================
+// Reads progressions written as Roman numerals ("I–vi–IV–V", "ii7 V7 Imaj7", "i bVI bIII bVII")
+// or chord symbols ("Am F C G", "C/E"). Numerals count degrees of the major scale on the
+// key's tonic, so borrowed chords take a b or #; upper case is a major chord and lower case
+// minor, with an optional suffix (7, maj7, °, ø, +, sus4, ...). Chords are separated by
+// spaces, commas, bar lines or dashes.
+const Progressions = (function () {
+  const MAJOR_STEPS = [0, 2, 4, 5, 7, 9, 11];
+  const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+  const ACCIDENTALS = { '#': 1, '♯': 1, 'b': -1, '♭': -1 };
+
+  // Chord symbol suffixes besides the Theory.CHORDS symbols
+  const ALIASES = {
+    'M': 'major', 'maj': 'major',
+    'min': 'minor',
+    '°': 'diminished', 'o': 'diminished',
+    '+': 'augmented',
+    'sus': 'sus4',
+    'M7': 'maj7', 'Δ': 'maj7', 'Δ7': 'maj7',
+    'min7': 'm7',
+    'ø': 'm7b5', 'ø7': 'm7b5',
+    '°7': 'dim7', 'o7': 'dim7'
+  };
+
+  // Lower-case numerals: minor and diminished chords only
+  const LOWER_SUFFIXES = {
+    '': 'minor', '7': 'm7',
+    '°': 'diminished', 'o': 'diminished', 'dim': 'diminished',
+    '°7': 'dim7', 'o7': 'dim7', 'dim7': 'dim7',
+    'ø': 'm7b5', 'ø7': 'm7b5', 'm7b5': 'm7b5'
+  };
+
+  // Diatonic triads: major key (I ii iii IV V vi vii°) and natural minor (i ii° bIII iv v bVI bVII)
+  const DIATONIC = {
+    major: { steps: MAJOR_STEPS, qualities: ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'] },
+    minor: { steps: [0, 2, 3, 5, 7, 8, 10], qualities: ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major'] }
+  };
+
+  function qualityOf(suffix) {
+    const quality = Object.keys(Theory.CHORDS).find(id => Theory.CHORDS[id].symbol === suffix) || ALIASES[suffix];
+    return quality || null;
+  }
+
+  // ("B", "b") -> "A#"
+  function noteOf(letter, accidental) {
+    return Theory.noteUp(letter, ACCIDENTALS[accidental] || 0);
+  }
+
+  // Numeral for a chord built on `steps` above the tonic: "bVI", "ii°", "V+"
+  function numeral(steps, quality) {
+    let degree = MAJOR_STEPS.indexOf(steps);
+    let accidental = '';
+    if (degree === -1) {
+      degree = MAJOR_STEPS.indexOf(steps + 1);
+      accidental = 'b';
+    }
+    const chord = Theory.CHORDS[quality];
+    const minor = chord.labels.includes('b3');
+    const roman = minor ? ROMAN[degree].toLowerCase() : ROMAN[degree];
+    const suffix = { minor: '', major: '', diminished: '°', augmented: '+', m7: '7', m7b5: 'ø7', dim7: '°7' }[quality];
+    return accidental + roman + (suffix === undefined ? chord.symbol : suffix);
+  }
+
+  // One chord: { text, numeral, root, quality, bass, name } (numeral null for chord symbols,
+  // bass null unless a slash chord), or null when the token can't be read
+  function parseChord(token, tonic) {
+    const spelling = Spelling.forKey(tonic, MAJOR_STEPS);
+    const roman = /^([b#♭♯]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/.exec(token);
+    if (roman) {
+      const lower = roman[2] === roman[2].toLowerCase();
+      const quality = lower ? LOWER_SUFFIXES[roman[3]] : qualityOf(roman[3]);
+      if (!quality) return null;
+      const degree = ROMAN.indexOf(roman[2].toUpperCase());
+      const root = Theory.noteUp(tonic, MAJOR_STEPS[degree] + (ACCIDENTALS[roman[1]] || 0));
+      return {
+        text: token,
+        numeral: token,
+        root: root,
+        quality: quality,
+        bass: null,
+        name: `${spelling.name(root)}${Theory.CHORDS[quality].symbol}`
+      };
+    }
+
+    const symbol = /^([A-G])([#b♯♭]?)(.*?)(?:\/([A-G])([#b♯♭]?))?$/.exec(token);
+    if (!symbol) return null;
+    const quality = qualityOf(symbol[3]);
+    if (!quality) return null;
+    const root = noteOf(symbol[1], symbol[2]);
+    const chord = Theory.CHORDS[quality];
+    const bass = symbol[4] ? noteOf(symbol[4], symbol[5]) : null;
+    // Names keep the letters as written ("Eb", not "D#")
+    const written = (letter, accidental) => letter + accidental.replace('♯', '#').replace('♭', 'b');
+    return {
+      text: token,
+      numeral: null,
+      root: root,
+      quality: quality,
+      bass: bass === root ? null : bass,
+      name: `${written(symbol[1], symbol[2])}${chord.symbol}${bass && bass !== root ? `/${written(symbol[4], symbol[5])}` : ''}`
+    };
+  }
+
+  // Text -> { chords, invalid } where invalid lists the tokens that couldn't be read
+  function parse(text, tonic) {
+    const tokens = String(text || '').split(/[\s,|–—-]+/).filter(Boolean);
+    const chords = [];
+    const invalid = [];
+    tokens.forEach((token) => {
+      const chord = parseChord(token, tonic);
+      if (chord) {
+        chords.push(chord);
+      } else {
+        invalid.push(token);
+      }
+    });
+    return { chords: chords, invalid: invalid };
+  }
+
+  // The seven diatonic triads of a key (tonality "major" or "minor") as parsed chords
+  function diatonic(tonic, tonality) {
+    const key = DIATONIC[tonality] || DIATONIC.major;
+    return key.steps.map((steps, i) => parseChord(numeral(steps, key.qualities[i]), tonic));
+  }
+
+  return {
+    parse: parse,
+    parseChord: parseChord,
+    diatonic: diatonic
+  };
+})();
+
+// ============================================
+// Tablature Parser
+// ============================================
+// Reads ASCII tab ("e|---3---|"): one line per string, highest string first, in systems of
+// consecutive lines. Each column with a fret number or an "x" becomes an event lasting one
+// beat; frets can have two digits. A technique letter right before a fret on the same line is kept:
+// h (hammer-on), p (pull-off), / (slide up), \ (slide down). format() writes events as tab.
+const Tablature = (function () {
+  const TECHNIQUES = { h: 'hammer-on', p: 'pull-off', '/': 'slide up', '\\': 'slide down' };
+
+  // Optional string name, then a bar line and tab characters (with a few dashes)
+  const LINE = /^\s*([A-Ga-g][#b]?\d?)?\s*([|:][-\d|:hpbrxX/\\~()<>.^*=sv ]*)$/;
+
+  function tabBody(line) {
+    const match = LINE.exec(line);
+    return match && (match[2].match(/-/g) || []).length >= 2 ? match[2].trimEnd() : null;
+  }
+
+  // Groups of consecutive tab lines
+  function systems(text) {
+    const groups = [];
+    let current = null;
+    String(text || '').split(/\r?\n/).forEach((line) => {
+      const body = tabBody(line);
+      if (body === null) {
+        current = null;
+      } else {
+        if (!current) groups.push(current = []);
+        current.push(body);
+      }
+    });
+    return groups;
+  }
+
+  // Tab text -> { events: [{ time, duration, notes: [{ stringIndex, fret, technique }],
+  // muted: [stringIndex], bar }], bars }, with rows counted from the highest string, times
+  // in beats and bars from 1. Null when the
+  // text holds no tab with `stringCount` lines per system.
+  function parse(text, stringCount) {
+    const groups = systems(text);
+    if (!groups.length || groups.some(lines => lines.length !== stringCount)) return null;
+
+    const events = [];
+    let bar = 1;
+    let sinceBar = 0; // columns read since the last bar line
+
+    groups.forEach((lines) => {
+      const width = Math.max(...lines.map(l => l.length));
+      const busyUntil = lines.map(() => 0); // skip the second digit of two-digit frets
+      for (let col = 0; col < width; col += 1) {
+        const chars = lines.map(l => l[col] || '-');
+        if (chars.every(c => c === '|' || c === ':')) {
+          if (sinceBar > 0) bar += 1;
+          sinceBar = 0;
+          continue;
+        }
+        sinceBar += 1;
+
+        const notes = [];
+        const muted = [];
+        chars.forEach((c, row) => {
+          if (col < busyUntil[row]) return;
+          if (c === 'x' || c === 'X') {
+            muted.push(row);
+          } else if (/\d/.test(c)) {
+            const digits = /^\d{1,2}/.exec(lines[row].slice(col))[0];
+            busyUntil[row] = col + digits.length;
+            notes.push({
+              stringIndex: row,
+              fret: parseInt(digits, 10),
+              technique: TECHNIQUES[lines[row][col - 1]] || null
+            });
+          }
+        });
+        if (notes.length || muted.length) {
+          events.push({ time: events.length, duration: 1, notes: notes, muted: muted, bar: bar });
+        }
+      }
+      // A system without a closing bar line still ends its bar
+      if (sinceBar > 0) bar += 1;
+      sinceBar = 0;
+    });
+
+    if (!events.length) return null;
+    return { events: events, bars: events[events.length - 1].bar };
+  }
+
+  // Events ({ notes: [{ stringIndex, fret }] }) -> ASCII tab that parse() reads back: one
+  // column per event, a bar line every `perBar` events and a new system every `barsPerLine`
+  // bars. `names` label the strings, highest first.
+  function format(events, names, perBar, barsPerLine) {
+    const barLength = perBar || 8;
+    const systemLength = barLength * (barsPerLine || 4);
+    const nameWidth = Math.max(...names.map(n => n.length));
+    const result = [];
+    for (let start = 0; start < events.length; start += systemLength) {
+      const lines = names.map(name => `${name.padEnd(nameWidth)}|`);
+      events.slice(start, start + systemLength).forEach((event, i) => {
+        const width = Math.max(1, ...event.notes.map(n => String(n.fret).length));
+        lines.forEach((line, row) => {
+          const note = event.notes.find(n => n.stringIndex === row);
+          lines[row] += `-${(note ? String(note.fret) : '').padEnd(width, '-')}`;
+          if ((i + 1) % barLength === 0) lines[row] += '-|';
+        });
+      });
+      result.push(lines.map(line => (line.endsWith('|') ? line : `${line}-|`)).join('\n'));
+    }
+    return result.join('\n\n');
+  }
+
+  return {
+    TECHNIQUES: TECHNIQUES,
+    parse: parse,
+    format: format
+  };
+})();
+
+// ============================================
+// MusicXML Import
+// ============================================
+// Reads the notes of an uncompressed partwise MusicXML score (.musicxml / .xml) into timed
+// events: notes starting together (chords, other voices) share one event. Uses the first
+// part with tablature (<technical><string>/<fret>), else the first part. Times are in
+// quarter-note beats; tied continuations are not replayed and grace notes are skipped.
+const MusicXml = (function () {
+  const STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+  function number(el, selector) {
+    const child = el.querySelector(selector);
+    const value = child ? parseFloat(child.textContent) : NaN;
+    return isNaN(value) ? null : value;
+  }
+
+  function looksLikeXml(text) {
+    return /^\s*</.test(String(text || ''));
+  }
+
+  // MusicXML text -> { title, tempo, bars, events: [{ time, duration, bar,
+  // notes: [{ midi, stringIndex, fret }], muted: [] }] }. stringIndex counts from the highest
+  // string (MusicXML string 1); stringIndex and fret are null when the score has no tab.
+  // Null when the text is not a partwise score with notes.
+  function parse(text) {
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (doc.querySelector('parsererror')) return null;
+    const parts = Array.from(doc.querySelectorAll('score-partwise > part'));
+    const part = parts.find(p => p.querySelector('technical fret')) || parts[0];
+    if (!part) return null;
+
+    let divisions = 1;
+    let transpose = 0; // written to sounding pitch, e.g. -12 for guitar's octave treble clef
+    let tempo = null;
+    let measureStart = 0;
+    const byTime = new Map();
+    const measures = Array.from(part.children).filter(el => el.tagName === 'measure');
+
+    measures.forEach((measure, m) => {
+      let cursor = 0;
+      let lastStart = 0;
+      let length = 0;
+      Array.from(measure.children).forEach((el) => {
+        if (el.tagName === 'attributes') {
+          divisions = number(el, 'divisions') || divisions;
+          if (el.querySelector('transpose')) {
+            transpose = (number(el, 'transpose chromatic') || 0) + (number(el, 'transpose octave-change') || 0) * 12;
+          }
+        } else if (el.tagName === 'direction' || el.tagName === 'sound') {
+          const sound = el.tagName === 'sound' ? el : el.querySelector('sound');
+          if (sound && sound.getAttribute('tempo')) tempo = parseFloat(sound.getAttribute('tempo'));
+        } else if (el.tagName === 'backup') {
+          cursor -= number(el, 'duration') || 0;
+        } else if (el.tagName === 'forward') {
+          cursor += number(el, 'duration') || 0;
+          length = Math.max(length, cursor);
+        } else if (el.tagName === 'note') {
+          if (el.querySelector('grace')) return;
+          const duration = number(el, 'duration') || 0;
+          const start = el.querySelector('chord') ? lastStart : cursor;
+          if (!el.querySelector('chord')) {
+            lastStart = cursor;
+            cursor += duration;
+          }
+          length = Math.max(length, cursor);
+          if (el.querySelector('rest') || el.querySelector('tie[type="stop"]') || !el.querySelector('pitch')) return;
+
+          const step = el.querySelector('pitch step').textContent.trim();
+          const midi = (number(el, 'pitch octave') + 1) * 12 + STEPS[step] + (number(el, 'pitch alter') || 0) + transpose;
+          const string = number(el, 'technical string');
+          const fret = number(el, 'technical fret');
+          const time = measureStart + start / divisions;
+          const key = time.toFixed(4);
+          if (!byTime.has(key)) byTime.set(key, { time: time, duration: 0, bar: m + 1, notes: [], muted: [] });
+          const event = byTime.get(key);
+          event.duration = Math.max(event.duration, duration / divisions);
+          event.notes.push({
+            midi: Math.round(midi),
+            stringIndex: string === null ? null : string - 1,
+            fret: fret
+          });
+        }
+      });
+      measureStart += length / divisions;
+    });
+
+    const events = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    if (!events.length) return null;
+    const title = doc.querySelector('work-title') || doc.querySelector('movement-title');
+    return {
+      title: title ? title.textContent.trim() : '',
+      tempo: tempo,
+      bars: measures.length,
+      events: events
+    };
+  }
+
+  return {
+    looksLikeXml: looksLikeXml,
+    parse: parse
+  };
+})();
+
+// ============================================
+// Fret Positions
+// ============================================
+// Where a pitch can be played in the current tuning, and a fingering search that places a
+// sequence of notes and chords so the hand moves as little as possible.
+const FretPositions = (function () {
+  const MAX_CANDIDATES = 40;
+
+  // Every { stringIndex, fret } that sounds `midi` (rows from the highest string)
+  function of(midi) {
+    const strings = Tuning.get().strings;
+    const frets = Tuning.getInstrument().frets;
+    const found = [];
+    strings.forEach((open, i) => {
+      const fret = midi - open;
+      if (fret >= 0 && fret <= frets) found.push({ stringIndex: strings.length - 1 - i, fret: fret });
+    });
+    return found;
+  }
+
+  // Mean fretted position of a placement, or null when it's all open strings
+  function center(placement) {
+    const frets = placement.filter(p => p && p.fret > 0).map(p => p.fret);
+    return frets.length ? frets.reduce((a, b) => a + b, 0) / frets.length : null;
+  }
+
+  // Stretch and height of one placement
+  function shapeCost(placement) {
+    const frets = placement.filter(p => p && p.fret > 0).map(p => p.fret);
+    if (!frets.length) return 0;
+    return (Math.max(...frets) - Math.min(...frets)) * 2 + center(placement) * 0.1;
+  }
+
+  // Ways to play a chord's notes on different strings within `span` frets. A note keeps its
+  // own position when it has one that fits the tuning.
+  function candidates(notes, span) {
+    const options = notes.map((n) => {
+      const all = of(n.midi);
+      const fixed = all.find(p => p.stringIndex === n.stringIndex);
+      return fixed ? [fixed] : all;
+    });
+    const results = [];
+    const walk = (i, used, placement) => {
+      if (results.length >= 2000) return;
+      if (i === notes.length) {
+        results.push(placement.slice());
+        return;
+      }
+      // A note with nowhere to go stays unplaced
+      if (!options[i].length) {
+        walk(i + 1, used, placement.concat([null]));
+        return;
+      }
+      options[i].forEach((p) => {
+        if (used.has(p.stringIndex)) return;
+        const frets = placement.concat([p]).filter(q => q && q.fret > 0).map(q => q.fret);
+        if (frets.length && Math.max(...frets) - Math.min(...frets) >= span) return;
+        used.add(p.stringIndex);
+        walk(i + 1, used, placement.concat([p]));
+        used.delete(p.stringIndex);
+      });
+    };
+    walk(0, new Set(), []);
+    return results.sort((a, b) => shapeCost(a) - shapeCost(b)).slice(0, MAX_CANDIDATES);
+  }
+
+  // Give every note in `events` ([{ notes: [{ midi, stringIndex, fret }] }]) a string and fret
+  // for the current tuning, choosing among each chord's placements to keep hand movement
+  // small (dynamic programming over the sequence). Notes that can't be played keep null.
+  function assign(events) {
+    const columns = events.map((event) => {
+      let list = candidates(event.notes, 5);
+      // Too wide for one hand: allow any stretch, then drop notes from the top
+      if (!list.length) list = candidates(event.notes, Infinity);
+      for (let keep = event.notes.length - 1; !list.length && keep > 0; keep -= 1) {
+        list = candidates(event.notes.slice(0, keep), Infinity)
+          .map(placement => placement.concat(new Array(event.notes.length - keep).fill(null)));
+      }
+      return list.length ? list : [event.notes.map(() => null)];
+    });
+
+    // cost[i][c]: cheapest way to reach candidate c of event i; from[i][c]: its predecessor
+    const cost = [];
+    const from = [];
+    columns.forEach((list, i) => {
+      cost[i] = list.map((placement, c) => {
+        if (i === 0) return shapeCost(placement);
+        let best = Infinity;
+        columns[i - 1].forEach((prev, p) => {
+          const a = center(prev);
+          const b = center(placement);
+          const move = a === null || b === null ? 0 : Math.abs(a - b);
+          if (cost[i - 1][p] + move < best) {
+            best = cost[i - 1][p] + move;
+            (from[i] = from[i] || [])[c] = p;
+          }
+        });
+        return best + shapeCost(placement);
+      });
+    });
+
+    // Walk back from the cheapest end
+    let c = cost[cost.length - 1].indexOf(Math.min(...cost[cost.length - 1]));
+    for (let i = events.length - 1; i >= 0; i -= 1) {
+      const placement = columns[i][c];
+      events[i].notes.forEach((n, k) => {
+        n.stringIndex = placement[k] ? placement[k].stringIndex : null;
+        n.fret = placement[k] ? placement[k].fret : null;
+      });
+      if (i > 0) c = from[i][c];
+    }
+    return events;
+  }
+
+  return {
+    of: of,
+    candidates: candidates,
+    assign: assign
+  };
+})();
+
+// ============================================
+// Shared Audio Module (Web Audio API)
+// ============================================
+const GuitarAudio = (function () {
+  let audioCtx = null;
+
+  // Initialize audio context on first user interaction
+  function initAudio() {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (audioCtx.state === 'suspended') {
+      audioCtx.resume();
+    }
+    return audioCtx;
+  }
+
+  // Convert a MIDI note number to Hz (A4 = 69 = 440 Hz)
+  function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  // Open string MIDI note for a board row (stringIndex 0 = top of visual fretboard = highest string)
+  function getOpenMidi(stringIndex) {
+    const strings = Tuning.get().strings;
+    return strings[strings.length - 1 - stringIndex];
+  }
+
+  // Calculate frequency for a given string and fret in the current tuning
+  // Each fret = 1 semitone = multiply by 2^(1/12)
+  // stringName is kept for compatibility; the row index alone identifies the string.
+  function getFrequency(stringName, fret, stringIndex) {
+    return midiToFrequency(getOpenMidi(stringIndex) + fret);
+  }
+
+  // Plucked-string voices (Karplus-Strong):
+  //   brightness: 0..1, how much high end survives in the string loop
+  //   pick: pluck point as a fraction of the string length (near the bridge sounds thinner)
+  //   decay: seconds for a note to die away (60 dB)
+  //   body: resonances of the instrument body as [frequency Hz, gain dB, Q]
+  //   tone: output low-pass cutoff in Hz
+  const TIMBRES = {
+    'electric': { name: 'Clean Electric', brightness: 0.8, pick: 0.1, decay: 3.5, body: [[180, 2, 1.2]], tone: 5500, gain: 0.5 },
+    'acoustic': { name: 'Acoustic', brightness: 0.9, pick: 0.18, decay: 2.5, body: [[105, 6, 2], [210, 4, 2.5], [2600, 3, 1.5]], tone: 9000, gain: 0.45 },
+    'nylon': { name: 'Nylon', brightness: 0.5, pick: 0.25, decay: 2, body: [[100, 6, 2], [195, 4, 2.5]], tone: 3800, gain: 0.6 }
+  };
+  const TIMBRE_KEY = 'guitar-intervals.timbre';
+
+  let timbreId = loadTimbre();
+  let output = null; // { id, input } for the current timbre's body/tone chain
+  let ringsUntil = 0; // audio clock time when the last note played dies away
+
+  function loadTimbre() {
+    const saved = Store.read(TIMBRE_KEY);
+    return TIMBRES[saved] ? saved : 'acoustic';
+  }
+
+  function getTimbre() {
+    return timbreId;
+  }
+
+  function setTimbre(id) {
+    if (!TIMBRES[id]) return;
+    timbreId = id;
+    Store.write(TIMBRE_KEY, id);
+  }
+
+  // Body resonances and tone control shared by every note of a timbre
+  function timbreOutput(ctx) {
+    if (output && output.id === timbreId) return output.input;
+    const timbre = TIMBRES[timbreId];
+    const input = ctx.createGain();
+    input.gain.value = timbre.gain;
+    let last = input;
+    timbre.body.forEach(([frequency, gain, q]) => {
+      const peak = ctx.createBiquadFilter();
+      peak.type = 'peaking';
+      peak.frequency.value = frequency;
+      peak.gain.value = gain;
+      peak.Q.value = q;
+      last.connect(peak);
+      last = peak;
+    });
+    const tone = ctx.createBiquadFilter();
+    tone.type = 'lowpass';
+    tone.frequency.value = timbre.tone;
+    last.connect(tone);
+    tone.connect(ctx.destination);
+    output = { id: timbreId, input: input };
+    return input;
+  }
+
+  // Render one plucked note: a noise burst (softened for dull strings, combed at the pick
+  // point) circulating in a delay line one period long, damped a little on every pass
+  function pluckBuffer(ctx, frequency, brightness, timbre) {
+    const sampleRate = ctx.sampleRate;
+    const length = Math.ceil(sampleRate * (timbre.decay + 0.1));
+    const buffer = ctx.createBuffer(1, length, sampleRate);
+    const out = buffer.getChannelData(0);
+
+    // Loop filter: blend of this and the previous sample (0.5 = darkest)
+    const blend = 0.5 - 0.45 * brightness;
+    // Whole samples of delay; a first-order allpass supplies the fraction so the pitch is exact
+    const period = sampleRate / frequency;
+    const delay = Math.max(2, Math.floor(period - blend - 0.1));
+    const fraction = period - blend - delay;
+    const allpass = (1 - fraction) / (1 + fraction);
+    const loopGain = Math.pow(0.001, 1 / (frequency * timbre.decay));
+
+    const noise = new Float32Array(delay);
+    let smoothed = 0;
+    for (let i = 0; i < delay; i += 1) {
+      smoothed += (Math.random() * 2 - 1 - smoothed) * (0.2 + 0.8 * brightness);
+      noise[i] = smoothed;
+    }
+    const pickDelay = Math.max(1, Math.round(delay * timbre.pick));
+    const line = new Float32Array(delay);
+    let peak = 0;
+    for (let i = 0; i < delay; i += 1) {
+      line[i] = noise[i] - (i >= pickDelay ? noise[i - pickDelay] : 0);
+      peak = Math.max(peak, Math.abs(line[i]));
+    }
+    for (let i = 0; i < delay; i += 1) line[i] /= peak || 1;
+
+    let index = 0;
+    let previous = 0;
+    let allpassIn = 0;
+    let allpassOut = 0;
+    for (let n = 0; n < length; n += 1) {
+      const current = line[index];
+      out[n] = current;
+      const filtered = loopGain * ((1 - blend) * current + blend * previous);
+      previous = current;
+      allpassOut = allpass * filtered + allpassIn - allpass * allpassOut;
+      allpassIn = filtered;
+      line[index] = allpassOut;
+      index = (index + 1) % delay;
+    }
+    return buffer;
+  }
+
+  // Wound bass strings sound darker than plain treble strings
+  function stringBrightness(timbre, openMidi) {
+    const treble = Math.min(1, Math.max(0, (openMidi - 28) / 40));
+    return timbre.brightness * (0.7 + 0.3 * treble);
+  }
+
+  // Pluck a frequency after `delay` seconds. openMidi is the open string it is played on
+  // (estimated from the pitch when unknown).
+  function playFrequency(frequency, delay, openMidi) {
+    const ctx = initAudio();
+    const timbre = TIMBRES[timbreId];
+    const stringMidi = openMidi === undefined ? 69 + 12 * Math.log2(frequency / 440) - 5 : openMidi;
+    const source = ctx.createBufferSource();
+    source.buffer = pluckBuffer(ctx, frequency, stringBrightness(timbre, stringMidi), timbre);
+
+    const startTime = ctx.currentTime + (delay || 0);
+    const endTime = startTime + source.buffer.duration;
+    ringsUntil = Math.max(ringsUntil, endTime);
+    const gainNode = ctx.createGain();
+    // Headroom for chords; a fade at the end of the rendered note avoids a click
+    gainNode.gain.setValueAtTime(0.3, startTime);
+    gainNode.gain.setValueAtTime(0.3, endTime - 0.05);
+    gainNode.gain.linearRampToValueAtTime(0, endTime);
+
+    source.connect(gainNode);
+    gainNode.connect(timbreOutput(ctx));
+    source.start(startTime);
+    source.stop(endTime);
+  }
+
+  // Audio clock time until which notes played by the app can still be heard
+  function soundingUntil() {
+    return ringsUntil;
+  }
+
+  // Play one fretted note in the current tuning, optionally `delay` seconds from now
+  function playNote(stringName, fret, stringIndex, delay) {
+    playFrequency(getFrequency(stringName, fret, stringIndex), delay || 0, getOpenMidi(stringIndex));
+  }
+
+  // Play a chord with a slight strum delay
+  // rootFrequency: the actual frequency of the root note clicked
+  // intervals: array of semitone offsets from root in strum order, e.g., [0, 4, 7] for a major chord
+  // openMidis: optional open string MIDI note each one is played on, for its string's tone
+  function playTriad(rootFrequency, intervals, openMidis) {
+    initAudio();
+
+    // Play each note of the chord with slight delay for strum effect
+    intervals.forEach((semitones, index) => {
+      const freq = rootFrequency * Math.pow(2, semitones / 12);
+      const delay = index * 0.08; // 80ms between each note for strum effect
+      playFrequency(freq, delay, openMidis ? openMidis[index] : undefined);
+    });
+  }
+
+  // Most playable chord shape containing the clicked root, from the voicing generator
+  // quality: a Theory.CHORDS key, or true/false for major/minor.
+  function getTriadNotes(rootStringIndex, rootFret, quality) {
+    const chordId = quality === true ? 'major' : quality === false ? 'minor' : quality;
+    const rootNote = Tuning.noteName(getOpenMidi(rootStringIndex) + rootFret);
+    const position = { stringIndex: rootStringIndex, fret: rootFret };
+    const voicings = Voicings.generate(rootNote, chordId, { position: position });
+    if (!voicings.length) return [{ stringIndex: rootStringIndex, fret: rootFret, interval: 'R' }];
+    return voicings[Voicings.bestIndex(voicings, position)].notes;
+  }
+
+  return {
+    TIMBRES: TIMBRES,
+    playNote: playNote,
+    playTriad: playTriad,
+    getTimbre: getTimbre,
+    setTimbre: setTimbre,
+    getFrequency: getFrequency,
+    midiToFrequency: midiToFrequency,
+    initAudio: initAudio,
+    soundingUntil: soundingUntil,
+    getTriadNotes: getTriadNotes
+  };
+})();
+
+// ============================================
+// Metronome (look-ahead scheduler)
+// ============================================
+// Clicks are scheduled on the audio clock a little ahead of time by a timer that wakes
+// every LOOKAHEAD_MS, so timer jitter doesn't reach the beat. Listeners hear about each
+// click when it sounds: { beat (0-based), sub (0 on the beat), beats, subdivision }.
+// Settings: tempo (BPM), beats per bar, subdivision (clicks per beat) and accent (louder first beat).
+// Parts (addPart) play along on the same clock, e.g. a scale sequence; the scheduler runs
+// for them silently while the metronome itself is stopped.
+const Metronome = (function () {
+  const LOOKAHEAD_MS = 25;
+  const SCHEDULE_AHEAD = 0.1; // seconds
+  const STORAGE_KEY = 'guitar-intervals.metronome';
+  const SUBDIVISIONS = [
+    { id: 1, name: 'Quarter notes' },
+    { id: 2, name: 'Eighth notes' },
+    { id: 3, name: 'Triplets' },
+    { id: 4, name: 'Sixteenth notes' }
+  ];
+  const listeners = createListeners();
+
+  let settings = load();
+  let timer = null;
+  let clicking = false; // the metronome is on (the scheduler may also run for parts)
+  let parts = []; // { perBeat | beats, tempo, schedule, tick, next }
+  let nextTime = 0;
+  let beat = 0;
+  let sub = 0;
+  let taps = [];
+  let clicks = []; // [start, end] audio clock times of the clicks scheduled lately
+
+  function load() {
+    const defaults = { tempo: 90, beats: 4, subdivision: 1, accent: true };
+    return Object.assign(defaults, Store.readJson(STORAGE_KEY, {}));
+  }
+
+  function save() {
+    Store.writeJson(STORAGE_KEY, settings);
+  }
+
+  function get() {
+    return Object.assign({}, settings);
+  }
+
+  // Change any of tempo, beats, subdivision, accent; takes effect from the next click
+  function set(changes) {
+    const next = Object.assign({}, settings, changes);
+    settings = {
+      tempo: Math.max(20, Math.min(300, Math.round(Number(next.tempo)) || 90)),
+      beats: Math.max(1, Math.min(16, parseInt(next.beats, 10) || 4)),
+      subdivision: SUBDIVISIONS.some(s => s.id === parseInt(next.subdivision, 10)) ? parseInt(next.subdivision, 10) : 1,
+      accent: next.accent !== false && next.accent !== 'false'
+    };
+    if (beat >= settings.beats) beat = 0;
+    if (sub >= settings.subdivision) sub = 0;
+    save();
+  }
+
+  // A short sine blip: higher and louder for the accent, quieter for subdivisions
+  function click(ctx, time, kind) {
+    const sound = { accent: [1600, 0.5], beat: [1100, 0.35], sub: [750, 0.15] }[kind];
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = sound[0];
+    gain.gain.setValueAtTime(sound[1], time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start(time);
+    osc.stop(time + 0.06);
+    clicks = clicks.filter(c => c[1] > ctx.currentTime).concat([[time, time + 0.06]]);
+  }
+
+  // Call fn when the audio clock reaches `time`
+  function at(ctx, time, fn) {
+    setTimeout(fn, Math.max(0, (time - ctx.currentTime) * 1000));
+  }
+
+  function schedule() {
+    const ctx = GuitarAudio.initAudio();
+    while (nextTime < ctx.currentTime + SCHEDULE_AHEAD) {
+      if (clicking) {
+        const kind = sub > 0 ? 'sub' : (beat === 0 && settings.accent ? 'accent' : 'beat');
+        click(ctx, nextTime, kind);
+        const tick = { beat: beat, sub: sub, beats: settings.beats, subdivision: settings.subdivision };
+        at(ctx, nextTime, () => {
+          if (clicking) listeners.emit(tick);
+        });
+      }
+
+      nextTime += 60 / settings.tempo / settings.subdivision;
+      sub += 1;
+      if (sub >= settings.subdivision) {
+        sub = 0;
+        beat = (beat + 1) % settings.beats;
+      }
+    }
+    parts.slice().forEach((part) => {
+      while (parts.includes(part) && part.next < ctx.currentTime + SCHEDULE_AHEAD) {
+        const value = part.schedule(part.next);
+        at(ctx, part.next, () => {
+          if (parts.includes(part)) part.tick(value);
+        });
+        const beats = part.beats ? part.beats(value) : 1 / Math.max(1, part.perBeat());
+        part.next += 60 / (part.tempo ? part.tempo() : settings.tempo) * beats;
+      }
+    });
+  }
+
+  // Keep the scheduler running while the metronome is on or a part plays
+  function wake() {
+    if (timer !== null) return;
+    nextTime = GuitarAudio.initAudio().currentTime + 0.05;
+    beat = 0;
+    sub = 0;
+    timer = setInterval(schedule, LOOKAHEAD_MS);
+  }
+
+  function sleep() {
+    if (clicking || parts.length) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function start() {
+    if (clicking) return;
+    const running = timer !== null;
+    wake();
+    clicking = true;
+    // Already running for a part: count the bar from the next click
+    if (running) {
+      beat = 0;
+      sub = 0;
+    }
+    schedule();
+  }
+
+  function stop() {
+    clicking = false;
+    sleep();
+  }
+
+  function running() {
+    return clicking;
+  }
+
+  // Play along: `perBeat()` notes to the beat, or `beats(value)` beats for each note, read at
+  // every note so tempo and rate changes follow; an optional `tempo()` (BPM) sets the part's
+  // own beat. schedule(time) is called a little ahead of each note with its audio clock time
+  // and returns a value that tick(value) gets when the note sounds. Parts start on the next
+  // beat while the metronome clicks. Returns a function that removes the part.
+  function addPart(part) {
+    const entry = Object.assign({}, part);
+    const ctx = GuitarAudio.initAudio();
+    if (clicking) {
+      const gap = 60 / settings.tempo / settings.subdivision;
+      entry.next = nextTime + (sub === 0 ? 0 : (settings.subdivision - sub) * gap);
+    } else {
+      entry.next = ctx.currentTime + 0.05;
+    }
+    wake();
+    parts.push(entry);
+    schedule();
+    return function () {
+      parts = parts.filter(p => p !== entry);
+      sleep();
+    };
+  }
+
+  // Audio clock time when the click sounding now (or the last one) dies away
+  function soundingUntil() {
+    const now = GuitarAudio.initAudio().currentTime;
+    return clicks.filter(c => c[0] <= now).reduce((until, c) => Math.max(until, c[1]), 0);
+  }
+
+  // Record a tap; from the second tap on, sets the tempo to the average gap of recent taps
+  // and returns it (null until then). A pause of two seconds starts a new count.
+  function tap(now) {
+    const time = now === undefined ? Date.now() : now;
+    if (taps.length && time - taps[taps.length - 1] > 2000) taps = [];
+    taps = taps.concat(time).slice(-6);
+    if (taps.length < 2) return null;
+    const gap = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+    set({ tempo: 60000 / gap });
+    return settings.tempo;
+  }
+
+  return {
+    SUBDIVISIONS: SUBDIVISIONS,
+    get: get,
+    set: set,
+    start: start,
+    stop: stop,
+    running: running,
+    addPart: addPart,
+    soundingUntil: soundingUntil,
+    tap: tap,
+    // A click sounded; returns an unsubscribe function
+    onTick: listeners.add
+  };
+})();
+
+// ============================================
+// Drone
+// ============================================
+// A sustained low root, optionally with its fifth, to hear scale degrees against a tonal
+// centre. Changing the note glides the running drone to it.
+const Drone = (function () {
+  const LEVEL = 0.08;
+  const RELEASE = 0.6; // seconds
+  let voices = null; // { oscillators, gain, note, midis }
+  let fadesAt = 0; // audio clock time the last drone stopped sounding
+  let faded = []; // its MIDI notes
+
+  // Root in the octave from C2, the fifth above it
+  function midis(note, fifth) {
+    const midi = 36 + Theory.NOTE_ORDER.indexOf(note);
+    return fifth ? [midi, midi + 7] : [midi];
+  }
+
+  function stop() {
+    if (!voices) return;
+    const ctx = GuitarAudio.initAudio();
+    const { oscillators, gain } = voices;
+    gain.gain.setTargetAtTime(0, ctx.currentTime, 0.1);
+    oscillators.forEach(osc => osc.stop(ctx.currentTime + RELEASE));
+    fadesAt = ctx.currentTime + RELEASE;
+    faded = voices.midis;
+    voices = null;
+  }
+
+  // Sound `note` (a sharp name), with its fifth when `fifth` is true
+  function play(note, fifth) {
+    if (!Theory.NOTE_ORDER.includes(note)) {
+      stop();
+      return;
+    }
+    const ctx = GuitarAudio.initAudio();
+    const notes = midis(note, fifth);
+    const targets = notes.map(GuitarAudio.midiToFrequency);
+    if (voices && voices.oscillators.length === targets.length) {
+      voices.oscillators.forEach((osc, i) => osc.frequency.setTargetAtTime(targets[i], ctx.currentTime, 0.05));
+      voices.note = note;
+      voices.midis = notes;
+      return;
+    }
+    stop();
+
+    // Sawtooth through a low-pass: a soft, organ-like tone
+    const gain = ctx.createGain();
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 900;
+    gain.gain.setValueAtTime(0, ctx.currentTime);
+    gain.gain.setTargetAtTime(LEVEL, ctx.currentTime, 0.2);
+    filter.connect(gain);
+    gain.connect(ctx.destination);
+    const oscillators = targets.map((frequency) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'sawtooth';
+      osc.frequency.value = frequency;
+      osc.connect(filter);
+      osc.start();
+      return osc;
+    });
+    voices = { oscillators: oscillators, gain: gain, note: note, midis: notes };
+  }
+
+  // Note sounding, or null
+  function playing() {
+    return voices ? voices.note : null;
+  }
+
+  // MIDI notes sounding at audio clock `time`, a stopped drone's release included
+  function pitchesAt(time) {
+    if (voices) return voices.midis;
+    return time < fadesAt ? faded : [];
+  }
+
+  return {
+    play: play,
+    stop: stop,
+    playing: playing,
+    pitchesAt: pitchesAt
+  };
+})();
+
+// ============================================
+// MIDI Input
+// ============================================
+// Notes held on MIDI instruments (Web MIDI API), or on any other source that passes MIDI
+// messages to receive(), such as the page's virtual keyboard. A virtual MIDI port set up in
+// the operating system (IAC Driver, loopMIDI) shows up as an ordinary input.
+const MidiInput = (function () {
+  const held = new Map(); // MIDI note -> velocity
+  const listeners = createListeners();
+  const portListeners = createListeners();
+  let access = null;
+  let source = 'all'; // an input id, 'all', or 'none' (only receive() callers)
+
+  // Held notes, lowest first
+  function notes() {
+    return Array.from(held.keys()).sort((a, b) => a - b);
+  }
+
+  function notify() {
+    listeners.emit(notes());
+  }
+
+  // Handle one MIDI message ([status, data1, data2]): note on/off, all notes off
+  function receive(data) {
+    const command = data[0] & 0xf0;
+    if (command === 0x90 && data[2] > 0) {
+      held.set(data[1], data[2]);
+    } else if (command === 0x80 || command === 0x90) {
+      held.delete(data[1]);
+    } else if (command === 0xb0 && (data[1] === 120 || data[1] === 123)) {
+      held.clear();
+    } else {
+      return;
+    }
+    notify();
+  }
+
+  function inputs() {
+    return access ? Array.from(access.inputs.values()).map(input => ({ id: input.id, name: input.name })) : [];
+  }
+
+  // Listen to the chosen inputs only
+  function attach() {
+    access.inputs.forEach((input) => {
+      input.onmidimessage = source === 'all' || source === input.id ? e => receive(e.data) : null;
+    });
+  }
+
+  // Ask for MIDI access; resolves with the inputs ([{ id, name }])
+  function connect() {
+    if (!navigator.requestMIDIAccess) return Promise.reject(new Error('This browser has no Web MIDI support.'));
+    return navigator.requestMIDIAccess().then((midi) => {
+      access = midi;
+      access.onstatechange = () => {
+        attach();
+        portListeners.emit(inputs());
+      };
+      attach();
+      return inputs();
+    });
+  }
+
+  function setSource(id) {
+    source = id;
+    held.clear();
+    if (access) attach();
+    notify();
+  }
+
+  return {
+    connect: connect,
+    inputs: inputs,
+    setSource: setSource,
+    receive: receive,
+    notes: notes,
+    // Held notes changed; returns an unsubscribe function
+    onChange: listeners.add,
+    // Inputs plugged in or removed; returns an unsubscribe function
+    onPortsChange: portListeners.add
+  };
+})();
+
+// ============================================
+// Pitch Detection
+// ============================================
+// Pure functions over sample arrays (no Web Audio), so recordings can be checked offline:
+// parseWav() reads a .wav file and detect() finds the pitch of a frame with the YIN
+// algorithm (de Cheveigné & Kawahara, 2002).
+const PitchDetector = (function () {
+  const THRESHOLD = 0.15; // YIN dip that counts as a period
+  const MIN_RMS = 0.01; // quieter frames are silence
+
+  function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+  }
+
+  // Fundamental of `samples` between minFrequency and maxFrequency:
+  // { frequency, clarity (0..1) }, or null when no period stands out
+  function yin(samples, sampleRate, options) {
+    const opts = Object.assign({ minFrequency: 30, maxFrequency: 1400, threshold: THRESHOLD }, options);
+    const maxTau = Math.min(Math.floor(sampleRate / opts.minFrequency), Math.floor(samples.length / 2));
+    const minTau = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+    if (maxTau <= minTau) return null;
+    const size = samples.length - maxTau;
+
+    // Difference function, then its cumulative mean normalised form
+    const cmnd = new Float32Array(maxTau + 1);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxTau; tau += 1) {
+      let sum = 0;
+      for (let i = 0; i < size; i += 1) {
+        const d = samples[i] - samples[i + tau];
+        sum += d * d;
+      }
+      running += sum;
+      cmnd[tau] = running ? (sum * tau) / running : 1;
+    }
+
+    // First dip under the threshold, followed down to its bottom
+    let tau = -1;
+    for (let t = minTau; t <= maxTau; t += 1) {
+      if (cmnd[t] < opts.threshold) {
+        while (t < maxTau && cmnd[t + 1] < cmnd[t]) t += 1;
+        tau = t;
+        break;
+      }
+    }
+    if (tau === -1) return null;
+
+    // Parabola through the neighbours for a period between samples
+    let period = tau;
+    if (tau > 1 && tau < maxTau) {
+      const [a, b, c] = [cmnd[tau - 1], cmnd[tau], cmnd[tau + 1]];
+      const curve = a + c - 2 * b;
+      if (curve) period = tau + (a - c) / (2 * curve);
+    }
+    return { frequency: sampleRate / period, clarity: 1 - cmnd[tau] };
+  }
+
+  // Nearest MIDI note and the deviation from it in cents (-50..50)
+  function noteOf(frequency) {
+    const exact = 69 + 12 * Math.log2(frequency / 440);
+    const midi = Math.round(exact);
+    return { midi: midi, cents: (exact - midi) * 100 };
+  }
+
+  // Open string (MIDI numbers, any order) closest to `frequency`:
+  // { index, midi, cents } with cents from the open string
+  function nearestString(frequency, strings) {
+    let best = null;
+    strings.forEach((midi, index) => {
+      const cents = 1200 * Math.log2(frequency / GuitarAudio.midiToFrequency(midi));
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) best = { index: index, midi: midi, cents: cents };
+    });
+    return best;
+  }
+
+  // One frame -> { frequency, clarity, midi, cents, rms }, or null for silence or noise
+  function detect(samples, sampleRate, options) {
+    const level = rms(samples);
+    if (level < MIN_RMS) return null;
+    const found = yin(samples, sampleRate, options);
+    if (!found) return null;
+    return Object.assign(found, noteOf(found.frequency), { rms: level });
+  }
+
+  // A .wav file (ArrayBuffer or byte array) -> { sampleRate, channels, samples } with the
+  // channels mixed to one Float32Array of -1..1. Reads 8/16/24/32-bit PCM and 32-bit float;
+  // null for anything else.
+  function parseWav(data) {
+    const view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
+    const text = (offset, length) => {
+      let s = '';
+      for (let i = 0; i < length; i += 1) s += String.fromCharCode(view.getUint8(offset + i));
+      return s;
+    };
+    if (view.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') return null;
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const id = text(offset, 4);
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+      if (id === 'fmt ') {
+        let code = view.getUint16(body, true);
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of its sub-format GUID
+        if (code === 0xfffe && size >= 26) code = view.getUint16(body + 24, true);
+        format = {
+          code: code,
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          bits: view.getUint16(body + 14, true)
+        };
+      } else if (id === 'data' && format) {
+        const { code, channels, bits } = format;
+        const bytes = bits / 8;
+        const supported = (code === 1 && [8, 16, 24, 32].includes(bits)) || (code === 3 && bits === 32);
+        if (!supported || !channels) return null;
+        const available = Math.min(size, view.byteLength - body);
+        const frames = Math.floor(available / (bytes * channels));
+        const read = (at) => {
+          if (code === 3) return view.getFloat32(at, true);
+          if (bits === 8) return (view.getUint8(at) - 128) / 128;
+          if (bits === 16) return view.getInt16(at, true) / 32768;
+          if (bits === 24) return (((view.getUint8(at + 2) << 24) | (view.getUint8(at + 1) << 16) | (view.getUint8(at) << 8)) >> 8) / 8388608;
+          return view.getInt32(at, true) / 2147483648;
+        };
+        const samples = new Float32Array(frames);
+        for (let f = 0; f < frames; f += 1) {
+          let sum = 0;
+          for (let c = 0; c < channels; c += 1) sum += read(body + (f * channels + c) * bytes);
+          samples[f] = sum / channels;
+        }
+        return { sampleRate: format.sampleRate, channels: channels, samples: samples };
+      }
+      offset = body + size + (size % 2);
+    }
+    return null;
+  }
+
+  return {
+    rms: rms,
+    yin: yin,
+    noteOf: noteOf,
+    nearestString: nearestString,
+    detect: detect,
+    parseWav: parseWav
+  };
+})();
+
+// ============================================
+// Microphone Input
+// ============================================
+// Listens through getUserMedia and runs PitchDetector on a frame every FRAME_MS. A note
+// counts as played once it has held for STEADY_FRAMES frames. Frames are skipped while the
+// app's own notes and metronome clicks ring out, so quiz questions don't answer themselves.
+// The drone sounds for minutes, so instead of going deaf to it, readings within DRONE_CENTS
+// of its root or fifth in any octave are dropped. Listeners get
+// (reading, note) on every frame: reading is PitchDetector.detect()'s result or null, note
+// the steady MIDI note or null.
+const PitchInput = (function () {
+  const FRAME_MS = 80;
+  const STEADY_FRAMES = 3;
+  const DRONE_CENTS = 15;
+  const listeners = createListeners();
+  let stream = null;
+  let timer = null;
+  let reading = null;
+  let note = null;
+  let candidate = null;
+  let count = 0;
+
+  // True if `reading` is one of the drone `pitches` (MIDI notes) or an octave of one
+  function isDrone(reading, pitches) {
+    return Math.abs(reading.cents) < DRONE_CENTS &&
+      pitches.some(midi => (reading.midi - midi) % 12 === 0);
+  }
+
+  // Handle one frame of samples (the microphone's, or a recording's). `drone`: MIDI notes
+  // the drone is sounding, if any
+  function receive(samples, sampleRate, drone) {
+    reading = samples ? PitchDetector.detect(samples, sampleRate) : null;
+    if (reading && drone && isDrone(reading, drone)) reading = null;
+    const midi = reading ? reading.midi : null;
+    if (midi === candidate) {
+      count += 1;
+    } else {
+      candidate = midi;
+      count = 1;
+    }
+    if (count >= STEADY_FRAMES) note = candidate;
+    listeners.emit(reading, note);
+  }
+
+  // Audio clock time when the app's own sound dies away
+  function ownSoundUntil() {
+    return Math.max(GuitarAudio.soundingUntil(), Metronome.soundingUntil());
+  }
+
+  // Ask for the microphone and start listening; resolves once it is on
+  function start() {
+    if (stream) return Promise.resolve();
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      return Promise.reject(new Error('This browser has no microphone access.'));
+    }
+    // Raw signal: voice processing would smear the pitch
+    const constraints = { audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } };
+    return navigator.mediaDevices.getUserMedia(constraints).then((s) => {
+      stream = s;
+      const ctx = GuitarAudio.initAudio();
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 4096;
+      ctx.createMediaStreamSource(stream).connect(analyser);
+      const frame = new Float32Array(analyser.fftSize);
+      timer = setInterval(() => {
+        // The frame holds the last fftSize samples: skip it if any of them is ours
+        if (ctx.currentTime - analyser.fftSize / ctx.sampleRate < ownSoundUntil()) {
+          receive(null);
+          return;
+        }
+        analyser.getFloatTimeDomainData(frame);
+        receive(frame, ctx.sampleRate, Drone.pitchesAt(ctx.currentTime));
+      }, FRAME_MS);
+    });
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    stream = null;
+    candidate = null;
+    count = 0;
+    note = null;
+    reading = null;
+    listeners.emit(null, null);
+  }
+
+  function listening() {
+    return stream !== null;
+  }
+
+  return {
+    start: start,
+    stop: stop,
+    listening: listening,
+    receive: receive,
+    reading: () => reading,
+    note: () => note,
+    // Every frame; returns an unsubscribe function
+    onChange: listeners.add
+  };
+})();
+
+// ============================================
+// Practice Statistics
+// ============================================
+// Per-question counts kept in localStorage under `storageKey`:
+// { [id]: { asked, correct, time } } with time the total answer time in seconds.
+function createStatsStore(storageKey) {
+  let items = load();
+
+  function load() {
+    const saved = Store.readJson(storageKey, {});
+    return saved && typeof saved === 'object' ? saved : {};
+  }
+
+  function persist() {
+    Store.writeJson(storageKey, items);
+  }
+
+  function record(id, correct, seconds) {
+    const item = items[id] || (items[id] = { asked: 0, correct: 0, time: 0 });
+    item.asked += 1;
+    if (correct) item.correct += 1;
+    item.time += seconds || 0;
+    persist();
+  }
+
+  function get(id) {
+    return items[id] || { asked: 0, correct: 0, time: 0 };
+  }
+
+  function reset() {
+    items = {};
+    persist();
+  }
+
+  return {
+    record: record,
+    get: get,
+    reset: reset
+  };
+}
+
+// ============================================
+// Fretboard Component
+// ============================================
+// Modes decide what a click does and how the board is painted. Each mode is an object with:
+//   initialState(board)    -> fresh per-board state (called on create, clear and mode change)
+//   select(board, pos)     -> handle a click on a note position
+//   render(board)          -> paint every note from board.state
+//   onRebuild(board)       -> optional; called after the neck is rebuilt (tuning change).
+//                             Defaults to clearing the selection.
+//   keydown(board, event)  -> optional; return true if the key was handled (board re-renders)
+//   saveSelection(board)   -> optional; the selection as a short string for links (or null)
+//   restoreSelection(board, text) -> optional; select from saveSelection's string (null clears)
+//   describe(board)        -> optional; a caption for exported diagrams, e.g. "C Major, Root position"
+//   shape(board)           -> optional; the chord or scale box on show, for box diagrams:
+//                             { notes: [{ stringIndex, fret, finger, interval, root }], barre, muted }
+//   hear(board, midi)      -> optional; a note played into the microphone (see PitchInput)
+// pos = { note, open, fret, stringIndex, midi }
+const FretboardModes = {};
+
+// Build a board inside `container`.
+// options: { mode: 'intervals' | 'chord' | 'scale' | ..., label, plus any mode options
+//            such as scale, quality or root }
+// User actions (clicks, keys, setOption, setMode) fire "fretboard:change" on the container.
+function createFretboard(container, options) {
+  const opts = Object.assign({ mode: 'intervals' }, options);
+
+  container.classList.add('board-container');
+  container.innerHTML = `
+    <div class="fret-annotations"></div>
+    <div class="fret-numbers"></div>
+    <div class="fret-markers"></div>
+    <div class="fretboard" aria-label="${opts.label || 'Guitar fretboard'}"></div>
+    <div class="fret-numbers"></div>
+    <div class="fret-markers"></div>`;
+
+  const boardEl = container.querySelector('.fretboard');
+  const annotationEl = container.querySelector('.fret-annotations');
+  const [fretNumberEl, fretNumberBottomEl] = container.querySelectorAll('.fret-numbers');
+  const [markerEl, markerBottomEl] = container.querySelectorAll('.fret-markers');
+
+  // Last look painted on each note ("stringIndex:fret") and the current annotations,
+  // kept for snapshot()
+  let looks = {};
+  let annotations = [];
+
+  const board = {
+    container: container,
+    boardEl: boardEl,
+    options: opts,
+    mode: null,
+    state: {},
+    fretCount: 0,
+    stringCount: 0
+  };
+
+  // Build fret number header (0..n) using explicit grid-column placement for perfect alignment
+  function renderFretNumbers(targetEl) {
+    let html = '';
+    html += `<div style="grid-column:1"></div>`; // label spacer
+
+    // Fret 0
+    html += `<div class="fret-num-cell" style="grid-column:2">0</div>`;
+
+    // Nut
+    html += `<div class="fret-num-cell nut-cell" style="grid-column:3"></div>`;
+
+    // Frets 1-n
+    for (let f = 1; f <= board.fretCount; f += 1) {
+      const col = 3 + f;
+      html += `<div class="fret-num-cell" style="grid-column:${col}">${f}</div>`;
+    }
+    targetEl.innerHTML = html;
+  }
+
+  // Build fret markers row with explicit column placement
+  function renderFretMarkers(targetEl) {
+    const markers = Tuning.getInstrument().markers;
+    const singleDotFrets = new Set(markers.single);
+    const doubleDotFrets = new Set(markers.double);
+    let html = '';
+
+    // Label spacer
+    html += `<div style="grid-column:1"></div>`;
+
+    // Fret 0
+    html += `<div class="fret-marker-cell" style="grid-column:2"></div>`;
+
+    // Nut
+    html += `<div class="fret-marker-cell nut-cell" style="grid-column:3"></div>`;
+
+    // Frets 1-n
+    for (let f = 1; f <= board.fretCount; f += 1) {
+      const col = 3 + f;
+      let content = '';
+      if (singleDotFrets.has(f)) {
+        content = `<div class="dot"></div>`;
+      } else if (doubleDotFrets.has(f)) {
+        content = `<div class="double"><div class="dot"></div><div class="dot"></div></div>`;
+      }
+      html += `<div class="fret-marker-cell" style="grid-column:${col}">${content}</div>`;
+    }
+    targetEl.innerHTML = html;
+  }
+
+  // Build fretboard grid rows (strings), high string at the top and lowest string at the bottom
+  function buildBoard() {
+    const tuning = Tuning.get();
+    board.fretCount = Tuning.getInstrument().frets;
+    board.stringCount = tuning.strings.length;
+
+    // CSS grid dimensions are per board (fret columns after the nut, string rows)
+    container.style.setProperty('--fret-count', String(board.fretCount));
+    container.style.setProperty('--string-count', String(board.stringCount));
+
+    renderFretNumbers(fretNumberEl);
+    renderFretMarkers(markerEl);
+    renderFretNumbers(fretNumberBottomEl);
+    renderFretMarkers(markerBottomEl);
+
+    // Nut element is inserted once and spans all rows
+    let html = `<div class="nut" aria-hidden="true"></div>`;
+
+    const stringsTopToBottom = [...tuning.strings].reverse();
+    stringsTopToBottom.forEach((openMidi, rowIndex) => {
+      const openNote = Tuning.noteName(openMidi);
+      html += `<div class="string-label cell" data-note="${openNote}">${Spelling.name(openNote)}</div>`;
+
+      // Open string + n frets; each cell contains a note circle
+      for (let fret = 0; fret <= board.fretCount; fret += 1) {
+        const noteName = Theory.noteUp(openNote, fret);
+        const sharpClass = noteName.includes('#') ? ' sharp' : '';
+        html += `<div class="cell" data-string="${openNote}" data-fret="${fret}">
+          <button class="note${sharpClass}" data-note="${noteName}" data-open="${openNote}" data-fret="${fret}" data-string-index="${rowIndex}" data-midi="${openMidi + fret}" aria-label="${noteName} at fret ${fret} on ${openNote} string">
+            <span class="interval ghost"></span>
+            <span class="letter">${noteName}</span>
+            <span class="finger"></span>
+          </button>
+        </div>`;
+      }
+    });
+
+    boardEl.innerHTML = html;
+    looks = {};
+  }
+
+  board.notes = function () {
+    return boardEl.querySelectorAll('.note');
+  };
+
+  board.findNote = function (stringIndex, fret) {
+    return boardEl.querySelector(`.note[data-string-index="${stringIndex}"][data-fret="${fret}"]`);
+  };
+
+  board.positionOf = function (btn) {
+    return {
+      note: btn.getAttribute('data-note'),
+      open: btn.getAttribute('data-open'),
+      fret: parseInt(btn.getAttribute('data-fret'), 10),
+      stringIndex: parseInt(btn.getAttribute('data-string-index'), 10),
+      midi: parseInt(btn.getAttribute('data-midi'), 10)
+    };
+  };
+
+  // Apply a look to one note: { interval, name, hidden, noLetter, root, tonic, active, group,
+  // finger, heat } (name is the written note name, group is a colour group exposed as
+  // data-group, heat is 0..1 heatmap shading)
+  board.paintNote = function (btn, look) {
+    looks[`${btn.getAttribute('data-string-index')}:${btn.getAttribute('data-fret')}`] = look;
+    const intervalEl = btn.querySelector('.interval');
+    const letterEl = btn.querySelector('.letter');
+    intervalEl.textContent = look.interval || '';
+    intervalEl.classList.toggle('ghost', !look.interval);
+    letterEl.textContent = look.name || Spelling.name(btn.getAttribute('data-note'));
+    letterEl.classList.toggle('ghost', !!look.hidden || !!look.noLetter);
+    btn.querySelector('.finger').textContent = look.finger || '';
+    // Heatmap shading: 0 (green) .. 1 (red)
+    btn.classList.toggle('heat', typeof look.heat === 'number');
+    if (typeof look.heat === 'number') btn.style.setProperty('--heat', String(look.heat));
+    btn.classList.toggle('ghost', !!look.hidden);
+    btn.classList.toggle('root', !!look.root);
+    btn.classList.toggle('tonic', !!look.tonic);
+    btn.classList.toggle('active-triad', !!look.active);
+    btn.classList.toggle('cursor', !!look.cursor);
+    if (look.group === undefined || look.group === null) {
+      btn.removeAttribute('data-group');
+    } else {
+      btn.setAttribute('data-group', String(look.group));
+    }
+  };
+
+  // Text labels above the neck: [{ fret, text, group }]; labels on the same fret stack
+  board.setAnnotations = function (items) {
+    annotations = items;
+    // Text can come from user input (chord symbols, tab), so it is set as text, not markup
+    annotationEl.replaceChildren(...items.map((item) => {
+      const span = document.createElement('span');
+      span.className = 'annotation';
+      if (item.group !== undefined) span.dataset.group = item.group;
+      span.style.gridColumn = item.fret === 0 ? 2 : 3 + item.fret;
+      span.textContent = item.text;
+      return span;
+    }));
+  };
+
+  board.render = function () {
+    board.mode.render(board);
+  };
+
+  // The painted board as plain data (for diagram export):
+  // { title, strings: [{ note, name }] (top row first), fretCount, markers,
+  //   notes: [{ stringIndex, fret, note, look }], annotations }
+  board.snapshot = function () {
+    const strings = Array.from(boardEl.querySelectorAll('.string-label')).map((el) => {
+      const note = el.getAttribute('data-note');
+      return { note: note, name: Spelling.name(note) };
+    });
+    const notes = Array.from(board.notes()).map((btn) => {
+      const pos = board.positionOf(btn);
+      return {
+        stringIndex: pos.stringIndex,
+        fret: pos.fret,
+        note: pos.note,
+        look: looks[`${pos.stringIndex}:${pos.fret}`] || {}
+      };
+    });
+    return {
+      title: board.mode.describe ? board.mode.describe(board) : '',
+      strings: strings,
+      fretCount: board.fretCount,
+      markers: Tuning.getInstrument().markers,
+      notes: notes,
+      annotations: annotations.slice()
+    };
+  };
+
+  // The mode's current shape with string names and caption (see DiagramExport.boxSvg), or null
+  board.shape = function () {
+    const shape = board.mode.shape ? board.mode.shape(board) : null;
+    if (!shape) return null;
+    const strings = [...Tuning.get().strings].reverse().map((midi) => {
+      const note = Tuning.noteName(midi);
+      return { note: note, name: Spelling.name(note) };
+    });
+    const title = board.mode.describe ? board.mode.describe(board) : '';
+    return Object.assign({ strings: strings, title: title }, shape);
+  };
+
+  board.clear = function () {
+    board.state = board.mode.initialState(board);
+    board.setAnnotations([]);
+    board.render();
+  };
+
+  board.select = function (stringIndex, fret) {
+    const btn = board.findNote(stringIndex, fret);
+    if (!btn) return;
+    board.mode.select(board, board.positionOf(btn));
+    board.render();
+  };
+
+  board.setMode = function (name, modeOptions) {
+    if (!FretboardModes[name]) return;
+    Object.assign(opts, modeOptions, { mode: name });
+    board.mode = FretboardModes[name];
+    board.clear();
+    board.changed();
+  };
+
+  // Change a mode option (e.g. scale) and repaint, keeping the selection
+  board.setOption = function (key, value) {
+    opts[key] = value;
+    board.render();
+    board.changed();
+  };
+
+  // Tell listeners (e.g. the URL state) that the user changed this board
+  board.changed = function () {
+    container.dispatchEvent(new CustomEvent('fretboard:change'));
+  };
+
+  board.rebuild = function () {
+    buildBoard();
+    if (board.mode.onRebuild) {
+      board.mode.onRebuild(board);
+    } else {
+      board.clear();
+    }
+  };
+
+  // Click delegation
+  function onClick(e) {
+    const btn = e.target.closest && e.target.closest('.note');
+    if (!btn || !btn.getAttribute('data-note')) return;
+    // Keep keyboard focus inside this board so Escape reaches its handler
+    btn.focus({ preventScroll: true });
+    board.mode.select(board, board.positionOf(btn));
+    board.render();
+    board.changed();
+  }
+
+  // Escape clears only this board; other keys go to the mode
+  function onKeydown(e) {
+    if (e.key === 'Escape') {
+      board.clear();
+      board.changed();
+    } else if (board.mode.keydown && board.mode.keydown(board, e)) {
+      e.preventDefault();
+      board.render();
+      board.changed();
+    }
+  }
+
+  // Sharps/flats preference: rewrite string names and repaint
+  function respell() {
+    boardEl.querySelectorAll('.string-label').forEach((el) => {
+      el.textContent = Spelling.name(el.getAttribute('data-note'));
+    });
+    board.render();
+  }
+
+  boardEl.addEventListener('click', onClick);
+  container.addEventListener('keydown', onKeydown);
+  const unsubscribe = Tuning.onChange(board.rebuild);
+  const unsubscribeSpelling = Spelling.onChange(respell);
+
+  board.destroy = function () {
+    boardEl.removeEventListener('click', onClick);
+    container.removeEventListener('keydown', onKeydown);
+    unsubscribe();
+    unsubscribeSpelling();
+    container.innerHTML = '';
+  };
+
+  board.mode = FretboardModes[opts.mode] || FretboardModes.intervals;
+  buildBoard();
+  board.clear();
+  return board;
+}
+
+// Intervals: click a note to hear it and label every note relative to it.
+// Option `scale` limits the display to that scale's tones. With option `key` (a root letter)
+// the scale is painted from the key all the time, and a clicked note relabels the scale
+// tones relative to itself ("the 3rd of A inside G major"). Option `positions` ("caged" or
+// "3nps") narrows the scale to one fingering box at a time, numbered by option `position`;
+// arrow keys step through the boxes. Space plays the box as a sequence (see sequence()) on
+// the metronome's clock, option `rate` notes to the beat at its tempo, repeating while
+// option `loop` is "true", with a cursor on the note sounding. Each render fires a "fretboard:intervals" event on the container
+// with { root, key, scale, position, sequence, cursor, playing }.
+FretboardModes.intervals = {
+  initialState() {
+    return { root: null, cursor: null, playing: false, part: null }; // root letter, sequence note playing
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+    board.state.root = board.state.root === pos.note ? null : pos.note;
+  },
+
+  saveSelection(board) {
+    return board.state.root;
+  },
+
+  restoreSelection(board, text) {
+    board.state.root = Theory.NOTE_ORDER.includes(text) ? text : null;
+  },
+
+  key(board) {
+    return Theory.NOTE_ORDER.includes(board.options.key) ? board.options.key : null;
+  },
+
+  // Current fingering box ({ name, notes, minFret, maxFret, index, count }), or null
+  // when the whole neck is shown. Boxes off the neck are skipped in the direction of `delta`.
+  positionBox(board, delta) {
+    const tonic = this.key(board) || board.state.root;
+    const scale = ScaleLibrary.get(board.options.scale);
+    const system = board.options.positions;
+    if (!tonic || !scale || !ScalePositions.SYSTEMS[system]) return null;
+    const box = ScalePositions.box(system, tonic, scale, parseInt(board.options.position, 10) || 0, delta);
+    return box && Object.assign(box, { count: ScalePositions.count(system, scale) });
+  },
+
+  render(board) {
+    const key = this.key(board);
+    const root = board.state.root || key;
+    // Without a key the scale follows the clicked note
+    const tonic = key || root;
+    const scale = ScaleLibrary.get(board.options.scale);
+    const box = this.positionBox(board);
+    const spelling = tonic ? Spelling.forKey(tonic, scale && scale.steps) : null;
+    const rootName = root ? spelling.name(root) : null;
+    const fingers = {};
+    if (box) box.notes.forEach((n) => { fingers[`${n.stringIndex}:${n.fret}`] = n.finger; });
+    const sequence = this.sequence(board);
+    const current = board.state.cursor === null ? null : sequence[board.state.cursor];
+    const cursorKey = current ? `${current.stringIndex}:${current.fret}` : null;
+
+    board.notes().forEach((btn) => {
+      const noteLetter = btn.getAttribute('data-note');
+      // Default view: note letters only, no intervals highlighted
+      if (!root) {
+        board.paintNote(btn, {});
+        return;
+      }
+      const intervalSteps = Theory.interval(root, noteLetter);
+      const pos = board.positionOf(btn);
+      const inBox = !box || `${pos.stringIndex}:${pos.fret}` in fingers;
+      const inScale = (!scale || scale.set.has(Theory.interval(tonic, noteLetter))) && inBox;
+      const name = spelling.name(noteLetter);
+      // The sequence cursor shows even on an arpeggio tone outside the scale
+      const cursor = `${pos.stringIndex}:${pos.fret}` === cursorKey;
+      board.paintNote(btn, {
+        interval: Spelling.interval(rootName, name),
+        name: name,
+        hidden: !inScale && !cursor,
+        cursor: cursor,
+        root: intervalSteps === 0,
+        // Key tonic stays marked while intervals are shown from another note
+        tonic: root !== tonic && noteLetter === tonic,
+        // Red outline for scale notes (the root always is one)
+        active: !!scale && inScale,
+        finger: box && inBox ? fingers[`${pos.stringIndex}:${pos.fret}`] : null
+      });
+    });
+    board.setAnnotations(box ? [{ fret: box.minFret, text: box.name }] : []);
+    board.container.dispatchEvent(new CustomEvent('fretboard:intervals', {
+      detail: {
+        root: board.state.root,
+        key: key,
+        scale: scale,
+        position: box,
+        sequence: sequence,
+        cursor: board.state.cursor,
+        playing: board.state.playing
+      }
+    }));
+  },
+
+  // "G Major · CAGED E shape · intervals from A"
+  describe(board) {
+    const key = this.key(board);
+    const root = board.state.root;
+    const scale = ScaleLibrary.get(board.options.scale);
+    const tonic = key || root;
+    if (!tonic) return '';
+    const spelling = Spelling.forKey(tonic, scale && scale.steps);
+    const box = this.positionBox(board);
+    const parts = [`${spelling.tonic} ${scale ? scale.name : ''}`.trim()];
+    if (box) parts.push(box.name);
+    if (root && root !== tonic) parts.push(`intervals from ${spelling.name(root)}`);
+    return parts.join(' · ');
+  },
+
+  // The fingering box with intervals from the key (or the clicked note without one)
+  shape(board) {
+    const box = this.positionBox(board);
+    if (!box) return null;
+    const tonic = this.key(board) || board.state.root;
+    const scale = ScaleLibrary.get(board.options.scale);
+    const spelling = Spelling.forKey(tonic, scale.steps);
+    const noteAt = n => Tuning.noteName(Tuning.get().strings[board.stringCount - 1 - n.stringIndex] + n.fret);
+    return {
+      notes: box.notes.map((n) => {
+        const note = noteAt(n);
+        return Object.assign({}, n, {
+          interval: Spelling.interval(spelling.tonic, spelling.name(note)),
+          root: note === tonic
+        });
+      }),
+      barre: null,
+      muted: false
+    };
+  },
+
+  // Move to the next (1) or previous (-1) fingering box
+  step(board, delta) {
+    const box = this.positionBox(board);
+    if (!box) return;
+    board.options.position = box.index + delta;
+    board.options.position = this.positionBox(board, delta).index;
+  },
+
+  // Notes to play in order (option `pattern`, see Sequences): the scale from the key, or with
+  // option `arpeggio` (a Theory.CHORDS key) that chord on the clicked note or the key. Both
+  // stay in the fingering box shown, or the CAGED box of option `position` when the whole
+  // neck is shown. [] when there is no scale or root.
+  sequence(board) {
+    const arpeggio = Theory.CHORDS[board.options.arpeggio];
+    const tonic = arpeggio ? board.state.root || this.key(board) : this.key(board) || board.state.root;
+    const library = ScaleLibrary.get(board.options.scale);
+    const steps = arpeggio ? [...new Set(arpeggio.steps.map(s => s % 12))].sort((a, b) => a - b) : library && library.steps;
+    if (!tonic || !steps) return [];
+    const system = ScalePositions.SYSTEMS[board.options.positions] ? board.options.positions : 'caged';
+    const box = ScalePositions.box(system, tonic, { steps: steps, set: new Set(steps) }, parseInt(board.options.position, 10) || 0);
+    if (!box) return [];
+    const open = Tuning.get().strings;
+    const positions = box.notes.map(n => Object.assign({}, n, { midi: open[board.stringCount - 1 - n.stringIndex] + n.fret }));
+    return Sequences.walk(positions, board.options.pattern);
+  },
+
+  // Play the sequence from its first note, or stop it
+  play(board) {
+    if (board.state.playing) {
+      this.stop(board);
+      return;
+    }
+    if (!this.sequence(board).length) return;
+    const state = board.state;
+    state.playing = true;
+    state.cursor = null;
+    let next = 0;
+
+    // Notes are scheduled on the audio clock ahead of time; the cursor moves as each sounds
+    state.part = Metronome.addPart({
+      perBeat: () => parseInt(board.options.rate, 10) || 2,
+      schedule: (time) => {
+        if (board.state !== state) return null;
+        const notes = this.sequence(board);
+        if (next >= notes.length) {
+          if (!notes.length || board.options.loop !== 'true') return 'end';
+          next = 0;
+        }
+        const note = notes[next];
+        const open = Tuning.noteName(Tuning.get().strings[board.stringCount - 1 - note.stringIndex]);
+        GuitarAudio.playNote(open, note.fret, note.stringIndex, time - GuitarAudio.initAudio().currentTime);
+        next += 1;
+        return next - 1;
+      },
+      tick: (index) => {
+        // The board was cleared since this was scheduled
+        if (board.state !== state) {
+          state.part();
+          return;
+        }
+        if (index === 'end') {
+          this.stop(board);
+        } else {
+          state.cursor = index;
+        }
+        board.render();
+      }
+    });
+  },
+
+  stop(board) {
+    if (board.state.part) board.state.part();
+    board.state.part = null;
+    board.state.playing = false;
+    board.state.cursor = null;
+  },
+
+  keydown(board, e) {
+    if (e.key === ' ' && (board.state.playing || this.sequence(board).length)) {
+      this.play(board);
+      return true;
+    }
+    const delta = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+    if (!delta || !this.positionBox(board)) return false;
+    this.step(board, delta);
+    return true;
+  },
+
+  // Intervals follow the same root letter in the new tuning
+  onRebuild(board) {
+    board.render();
+  }
+};
+
+// Chord: click a root to hear and show its chord (option `quality`: a Theory.CHORDS key).
+// Voicings come from the Voicings generator, filtered by options `span` (frets),
+// `strings` (e.g. "2-3-4", or "any") and `inversion` (0-3, or "any"). The outline starts on
+// the best voicing through the clicked note; arrow keys step through the rest up and down
+// the neck. Each render fires a "fretboard:voicing" event on the container with
+// { index, count, voicing }.
+FretboardModes.chord = {
+  initialState() {
+    return { root: null, index: 0, filterKey: null }; // clicked position, current voicing, filters it was picked with
+  },
+
+  quality(board) {
+    return Theory.CHORDS[board.options.quality] ? board.options.quality : 'major';
+  },
+
+  // Voicings of the current chord across the neck (cached until the chord or filters change)
+  voicings(board) {
+    const root = board.state.root;
+    const opts = board.options;
+    const key = [root.note, this.quality(board), opts.span, opts.strings, opts.inversion].join();
+    if (board.state.cache && board.state.cache.key === key) return board.state.cache.list;
+
+    const hasStrings = opts.strings && opts.strings !== 'any';
+    const hasInversion = opts.inversion !== undefined && opts.inversion !== null && opts.inversion !== 'any';
+    const list = Voicings.generate(root.note, this.quality(board), {
+      span: parseInt(opts.span, 10) || 4,
+      stringSets: hasStrings ? [Voicings.parseStringSet(opts.strings)] : null,
+      inversion: hasInversion ? parseInt(opts.inversion, 10) : null
+    });
+    board.state.cache = { key: key, list: list };
+    return list;
+  },
+
+  // Strum a voicing from its lowest note up
+  strum(board, voicing) {
+    const root = board.state.root;
+    const open = Tuning.get().strings;
+    const notes = voicing.notes.slice().sort((a, b) => a.midi - b.midi);
+    GuitarAudio.playTriad(GuitarAudio.getFrequency(root.open, root.fret, root.stringIndex),
+      notes.map(n => n.midi - root.midi), notes.map(n => open[board.stringCount - 1 - n.stringIndex]));
+  },
+
+  select(board, pos) {
+    if (board.state.root && board.state.root.note === pos.note) {
+      board.state.root = null;
+      return;
+    }
+    board.state.root = pos;
+    const voicings = this.voicings(board);
+    board.state.index = Voicings.bestIndex(voicings, pos);
+    board.state.filterKey = null;
+    if (voicings.length) {
+      this.strum(board, voicings[board.state.index]);
+    } else {
+      GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+    }
+  },
+
+  // "string.fret.voicing", e.g. "4.3.2"
+  saveSelection(board) {
+    const root = board.state.root;
+    return root ? `${root.stringIndex}.${root.fret}.${board.state.index}` : null;
+  },
+
+  restoreSelection(board, text) {
+    const [stringIndex, fret, index] = String(text || '').split('.').map(n => parseInt(n, 10));
+    const btn = text ? board.findNote(stringIndex, fret) : null;
+    board.state.root = btn ? board.positionOf(btn) : null;
+    if (!board.state.root) return;
+    const voicings = this.voicings(board);
+    board.state.index = Math.max(0, Math.min(index || 0, voicings.length - 1));
+    board.state.filterKey = this.filterKey(board);
+  },
+
+  // Move to the next (1) or previous (-1) voicing and play it
+  step(board, delta) {
+    if (!board.state.root) return;
+    const voicings = this.voicings(board);
+    if (!voicings.length) return;
+    board.state.index = (board.state.index + delta + voicings.length) % voicings.length;
+    this.strum(board, voicings[board.state.index]);
+  },
+
+  keydown(board, e) {
+    const delta = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+    if (!delta || !board.state.root) return false;
+    this.step(board, delta);
+    return true;
+  },
+
+  // "C Major · Root position, strings 1-2-3"
+  describe(board) {
+    const root = board.state.root;
+    if (!root) return '';
+    const chord = Theory.CHORDS[this.quality(board)];
+    const voicing = this.voicings(board)[board.state.index];
+    const name = `${Spelling.forChord(root.note, chord).root} ${chord.name}`;
+    return voicing ? `${name} · ${Voicings.inversionName(voicing)}, strings ${voicing.strings}` : name;
+  },
+
+  // The outlined voicing with suggested fingers; unused strings are muted
+  shape(board) {
+    const voicing = board.state.root ? this.voicings(board)[board.state.index] : null;
+    if (!voicing) return null;
+    const fingered = Voicings.fingering(voicing.notes);
+    return {
+      notes: fingered.notes.map(n => Object.assign(n, { root: n.degree === 0 })),
+      barre: fingered.barre,
+      muted: true
+    };
+  },
+
+  filterKey(board) {
+    return [this.quality(board), board.options.span, board.options.strings, board.options.inversion].join();
+  },
+
+  // Current voicing; when the quality or filters change, start again from the best
+  // voicing through the root
+  currentVoicing(board, voicings) {
+    const filterKey = this.filterKey(board);
+    if (board.state.filterKey !== filterKey || board.state.index >= voicings.length) {
+      board.state.index = Voicings.bestIndex(voicings, board.state.root);
+    }
+    board.state.filterKey = filterKey;
+    return voicings[board.state.index] || null;
+  },
+
+  announce(board, voicings, voicing) {
+    board.container.dispatchEvent(new CustomEvent('fretboard:voicing', {
+      detail: { index: board.state.index, count: voicings.length, voicing: voicing }
+    }));
+  },
+
+  render(board) {
+    const root = board.state.root;
+    if (!root) {
+      board.notes().forEach(btn => board.paintNote(btn, {}));
+      this.announce(board, [], null);
+      return;
+    }
+    const chord = Theory.CHORDS[this.quality(board)];
+    const labels = Theory.chordLabels(chord);
+    const spelling = Spelling.forChord(root.note, chord);
+    const voicings = this.voicings(board);
+    const voicing = this.currentVoicing(board, voicings);
+
+    // Specific chord positions for red outline
+    const positionKeys = new Set((voicing ? voicing.notes : []).map(n => `${n.stringIndex}-${n.fret}`));
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      const intervalSteps = Theory.interval(root.note, pos.note);
+      const label = labels[intervalSteps];
+      if (!label) {
+        board.paintNote(btn, { hidden: true });
+        return;
+      }
+      board.paintNote(btn, {
+        interval: label,
+        name: spelling.name(pos.note),
+        root: intervalSteps === 0,
+        active: positionKeys.has(`${pos.stringIndex}-${pos.fret}`)
+      });
+    });
+
+    this.announce(board, voicings, voicing);
+  }
+};
+
+// Chord quiz: plays a random chord from a random root (option `qualities`: comma-separated
+// Theory.CHORDS keys) as a block chord or arpeggio (option `playback`), and the student
+// names the quality (answer()). The board then shows the voicing that was played; arrow
+// keys step through its other voicings. Span, string-set and inversion filters work as in
+// chord mode. Enter asks the next chord and Space replays it. Each render fires a
+// "fretboard:quiz" event on the container with { question, result, picked, score }; until
+// the answer, "fretboard:voicing" carries { hidden: true } so nothing gives it away.
+FretboardModes['chord-quiz'] = Object.assign({}, FretboardModes.chord, {
+  DEFAULT_QUALITIES: ['major', 'minor', 'diminished', 'augmented'],
+
+  initialState() {
+    return Object.assign(FretboardModes.chord.initialState(), {
+      question: null, // { quality }
+      result: null,
+      picked: null,
+      score: { correct: 0, asked: 0 }
+    });
+  },
+
+  qualities(board) {
+    const ids = String(board.options.qualities || '').split(',').filter(id => Theory.CHORDS[id]);
+    return ids.length ? ids : this.DEFAULT_QUALITIES;
+  },
+
+  quality(board) {
+    return board.state.question ? board.state.question.quality : 'major';
+  },
+
+  next(board) {
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    const positions = Array.from(board.notes()).map(board.positionOf).filter(pos => pos.fret <= 12);
+    // The voicing filters may rule out some roots; try a few
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      Object.assign(board.state, {
+        question: { quality: pick(this.qualities(board)) },
+        root: pick(positions),
+        result: null,
+        picked: null,
+        filterKey: null
+      });
+      const voicings = this.voicings(board);
+      if (!voicings.length) continue;
+      board.state.index = Voicings.bestIndex(voicings, board.state.root);
+      this.play(board);
+      return;
+    }
+  },
+
+  // Play the current voicing, low string first
+  play(board) {
+    if (!board.state.question) return;
+    const voicing = this.voicings(board)[board.state.index];
+    if (!voicing) return;
+    const gap = board.options.playback === 'arpeggio' ? 0.35 : 0;
+    voicing.notes.slice().sort((a, b) => a.midi - b.midi).forEach((n, i) => {
+      const pos = board.positionOf(board.findNote(n.stringIndex, n.fret));
+      GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex, i * gap);
+    });
+  },
+
+  strum(board) {
+    this.play(board);
+  },
+
+  // Questions are not part of links
+  saveSelection() {
+    return null;
+  },
+
+  restoreSelection() {},
+
+  // No caption or shape until the chord is named
+  describe(board) {
+    return board.state.result ? FretboardModes.chord.describe.call(this, board) : '';
+  },
+
+  shape(board) {
+    return board.state.result ? FretboardModes.chord.shape.call(this, board) : null;
+  },
+
+  answer(board, quality) {
+    const state = board.state;
+    if (!state.question || state.result) return;
+    const correct = quality === state.question.quality;
+    state.result = correct ? 'correct' : 'wrong';
+    state.picked = quality;
+    state.score.asked += 1;
+    if (correct) state.score.correct += 1;
+  },
+
+  // Clicks only play notes; the root comes from the quiz
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  keydown(board, e) {
+    if (e.key === 'Enter') {
+      this.next(board);
+      return true;
+    }
+    if (e.key === ' ' && board.state.question) {
+      this.play(board);
+      return true;
+    }
+    return !!board.state.result && FretboardModes.chord.keydown.call(this, board, e);
+  },
+
+  render(board) {
+    const { question, result, picked, score } = board.state;
+    if (question && result) {
+      FretboardModes.chord.render.call(this, board);
+    } else {
+      // Nothing to see until the chord is named
+      board.notes().forEach(btn => board.paintNote(btn, {}));
+      board.container.dispatchEvent(new CustomEvent('fretboard:voicing', {
+        detail: { index: 0, count: 0, voicing: null, hidden: true }
+      }));
+    }
+    board.container.dispatchEvent(new CustomEvent('fretboard:quiz', {
+      detail: { question: question, result: result, picked: picked, score: score }
+    }));
+  },
+
+  onRebuild(board) {
+    const score = board.state.score;
+    board.clear();
+    board.state.score = score;
+    board.render();
+  }
+});
+
+// Inversions: pick a triad (option `quality`, three-note chords only) and a string set
+// (option `strings`, e.g. "1-2-3"), click a note to choose the root, and every inversion on
+// those strings is laid out along the neck, coloured and labelled by inversion. Arrow keys
+// (or step()) walk through them up and down the neck, playing each one.
+FretboardModes.inversions = Object.assign({}, FretboardModes.chord, {
+  quality(board) {
+    const chord = Theory.CHORDS[board.options.quality];
+    return chord && chord.steps.length === 3 ? board.options.quality : 'major';
+  },
+
+  stringSet(board) {
+    const rows = Voicings.parseStringSet(board.options.strings || '1-2-3');
+    const valid = rows.length === 3 && rows.every(row => row >= 0 && row < board.stringCount);
+    return valid ? rows : [0, 1, 2];
+  },
+
+  voicings(board) {
+    const root = board.state.root;
+    const rows = this.stringSet(board);
+    const key = [root.note, this.quality(board), rows.join()].join();
+    if (board.state.cache && board.state.cache.key === key) return board.state.cache.list;
+
+    // Wide enough for every close-voiced triad inversion on neighbouring strings
+    const list = Voicings.generate(root.note, this.quality(board), { span: 5, stringSets: [rows] });
+    board.state.cache = { key: key, list: list };
+    return list;
+  },
+
+  // "C Major inversions · strings 1-2-3"
+  describe(board) {
+    const root = board.state.root;
+    if (!root) return '';
+    const chord = Theory.CHORDS[this.quality(board)];
+    const strings = Voicings.stringSetName(this.stringSet(board));
+    return `${Spelling.forChord(root.note, chord).root} ${chord.name} inversions · strings ${strings}`;
+  },
+
+  render(board) {
+    const root = board.state.root;
+    if (!root) {
+      board.notes().forEach(btn => board.paintNote(btn, {}));
+      board.setAnnotations([]);
+      this.announce(board, [], null);
+      return;
+    }
+    const voicings = this.voicings(board);
+    const current = this.currentVoicing(board, voicings);
+    const spelling = Spelling.forChord(root.note, Theory.CHORDS[this.quality(board)]);
+
+    // The voicings each position belongs to; a note shared by neighbouring inversions
+    // gets a split colour group such as "0-1"
+    const byPosition = {};
+    voicings.forEach((voicing) => {
+      voicing.notes.forEach((n) => {
+        const id = `${n.stringIndex}-${n.fret}`;
+        (byPosition[id] = byPosition[id] || []).push({ voicing: voicing, note: n });
+      });
+    });
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      const hits = byPosition[`${pos.stringIndex}-${pos.fret}`];
+      if (!hits) {
+        board.paintNote(btn, { hidden: true });
+        return;
+      }
+      const groups = [...new Set(hits.map(hit => hit.voicing.inversion))].sort();
+      board.paintNote(btn, {
+        interval: hits[0].note.interval,
+        name: spelling.name(pos.note),
+        group: groups.join('-'),
+        active: hits.some(hit => hit.voicing === current)
+      });
+    });
+
+    board.setAnnotations(voicings.map(v => ({
+      fret: v.minFret,
+      text: Voicings.INVERSION_SHORT[v.inversion],
+      group: v.inversion
+    })));
+    this.announce(board, voicings, current);
+  }
+});
+
+// Scale: paint a fixed key (options `root` and `scale`) across the neck; clicks play notes.
+FretboardModes.scale = {
+  initialState() {
+    return {};
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  describe(board) {
+    const root = board.options.root || 'C';
+    const scale = ScaleLibrary.get(board.options.scale) || ScaleLibrary.get('major');
+    return `${Spelling.forKey(root, scale.steps).tonic} ${scale.name}`;
+  },
+
+  render(board) {
+    const root = board.options.root || 'C';
+    const scale = ScaleLibrary.get(board.options.scale) || ScaleLibrary.get('major');
+    const spelling = Spelling.forKey(root, scale.steps);
+    board.notes().forEach((btn) => {
+      const noteLetter = btn.getAttribute('data-note');
+      const intervalSteps = Theory.interval(root, noteLetter);
+      const inScale = scale.set.has(intervalSteps);
+      const name = spelling.name(noteLetter);
+      board.paintNote(btn, {
+        interval: inScale ? Spelling.interval(spelling.tonic, name) : '',
+        name: name,
+        hidden: !inScale,
+        root: intervalSteps === 0,
+        active: inScale
+      });
+    });
+  },
+
+  onRebuild(board) {
+    board.render();
+  }
+};
+
+// Interval quiz: plays two notes and the student answers by clicking the second note or
+// naming the interval (answer()). Option `direction` is "ascending", "descending",
+// "harmonic" or "mixed"; option `level` picks the intervals and fret range from LEVELS.
+// Enter asks the next question and Space replays it. Per-interval results are kept in
+// localStorage. Each render fires a "fretboard:quiz" event on the container with
+// { question, result, streak, best }.
+FretboardModes['interval-quiz'] = {
+  LEVELS: {
+    'easy': { name: 'Easy (m3, M3, P4, P5, P8; frets 0-5)', steps: [3, 4, 5, 7, 12], frets: 5 },
+    'medium': { name: 'Medium (2nds to 6ths; frets 0-9)', steps: [2, 3, 4, 5, 7, 8, 9, 12], frets: 9 },
+    'hard': { name: 'Hard (all intervals; whole neck)', steps: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], frets: Infinity }
+  },
+  DIRECTIONS: ['ascending', 'descending', 'harmonic'],
+
+  stats: createStatsStore('guitar-intervals.interval-stats'),
+
+  initialState() {
+    // question: { from, to, steps, direction, askedAt }; result: "correct" | "wrong" once answered
+    return { question: null, result: null, picked: null, streak: 0, best: 0 };
+  },
+
+  level(board) {
+    return this.LEVELS[board.options.level] || this.LEVELS.easy;
+  },
+
+  intervalName(steps) {
+    return steps === 12 ? 'P8' : Theory.INTERVAL_BY_STEPS[steps];
+  },
+
+  inRange(board, pos) {
+    return pos.fret <= this.level(board).frets;
+  },
+
+  // Ask a new question and play it
+  next(board) {
+    const level = this.level(board);
+    const positions = Array.from(board.notes()).map(board.positionOf).filter(pos => this.inRange(board, pos));
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    const direction = this.DIRECTIONS.includes(board.options.direction) ? board.options.direction : pick(this.DIRECTIONS);
+
+    // Some intervals don't fit from some notes; try a few starting points
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const steps = pick(level.steps);
+      const from = pick(positions);
+      const targetMidi = from.midi + (direction === 'descending' ? -steps : steps);
+      const targets = positions.filter(pos => pos.midi === targetMidi);
+      if (!targets.length) continue;
+      board.state.question = { from: from, to: pick(targets), steps: steps, direction: direction, askedAt: Date.now() };
+      board.state.result = null;
+      board.state.picked = null;
+      this.play(board);
+      return;
+    }
+  },
+
+  play(board) {
+    const q = board.state.question;
+    if (!q) return;
+    GuitarAudio.playNote(q.from.open, q.from.fret, q.from.stringIndex);
+    GuitarAudio.playNote(q.to.open, q.to.fret, q.to.stringIndex, q.direction === 'harmonic' ? 0 : 0.7);
+  },
+
+  // Answer the current question with an interval size in semitones
+  answer(board, steps, picked) {
+    const q = board.state.question;
+    if (!q || board.state.result) return;
+    const correct = steps === q.steps;
+    board.state.result = correct ? 'correct' : 'wrong';
+    board.state.picked = picked || null;
+    board.state.streak = correct ? board.state.streak + 1 : 0;
+    board.state.best = Math.max(board.state.best, board.state.streak);
+    this.stats.record(String(q.steps), correct, (Date.now() - q.askedAt) / 1000);
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+    const q = board.state.question;
+    if (!q || board.state.result) return;
+    // The second note is below the first only in descending questions
+    const steps = q.direction === 'descending' ? q.from.midi - pos.midi : pos.midi - q.from.midi;
+    this.answer(board, steps, pos);
+  },
+
+  // A note played on the guitar answers like a click on its position nearest the target.
+  // Playing the first note again (to find your bearings) doesn't count.
+  hear(board, midi) {
+    const q = board.state.question;
+    if (!q || board.state.result || midi === q.from.midi) return;
+    const distance = pos => Math.abs(pos.fret - q.to.fret) + Math.abs(pos.stringIndex - q.to.stringIndex);
+    const picked = Array.from(board.notes()).map(board.positionOf)
+      .filter(pos => pos.midi === midi)
+      .sort((a, b) => distance(a) - distance(b))[0];
+    const steps = q.direction === 'descending' ? q.from.midi - midi : midi - q.from.midi;
+    this.answer(board, steps, picked || null);
+  },
+
+  keydown(board, e) {
+    if (e.key === 'Enter') {
+      this.next(board);
+      return true;
+    }
+    if (e.key === ' ' && board.state.question) {
+      this.play(board);
+      return true;
+    }
+    return false;
+  },
+
+  render(board) {
+    const { question, result, picked } = board.state;
+    const same = (a, b) => !!a && !!b && a.stringIndex === b.stringIndex && a.fret === b.fret;
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      if (!this.inRange(board, pos)) {
+        board.paintNote(btn, { hidden: true });
+      } else if (question && same(pos, question.from)) {
+        board.paintNote(btn, { root: true, interval: result ? 'U' : '?' });
+      } else if (result && same(pos, question.to)) {
+        board.paintNote(btn, { active: true, interval: this.intervalName(question.steps), group: 'answer' });
+      } else if (result && same(pos, picked)) {
+        board.paintNote(btn, { interval: '✗', group: 'wrong' });
+      } else {
+        board.paintNote(btn, {});
+      }
+    });
+
+    board.container.dispatchEvent(new CustomEvent('fretboard:quiz', {
+      detail: { question: question, result: result, streak: board.state.streak, best: board.state.best }
+    }));
+  },
+
+  // A new tuning changes every position; start again
+  onRebuild(board) {
+    const { streak, best } = board.state;
+    board.clear();
+    Object.assign(board.state, { streak: streak, best: best });
+    board.render();
+  }
+};
+
+// Note drill: letters are hidden and the student finds a note, either every place it
+// appears on one string or anywhere on the neck (option `drill`: "string", "any" or
+// "mixed"), within option `frets` (default 12). Answer times and mistakes are kept per
+// position in localStorage; questions favour slow or missed positions, and option
+// `heatmap` colours the neck by them. Enter asks the next question. Each render fires a
+// "fretboard:drill" event on the container with { question, found, mistakes, seconds }.
+FretboardModes['note-drill'] = {
+  stats: createStatsStore('guitar-intervals.note-drill-stats'),
+
+  initialState() {
+    // question: { note, stringIndex (null for any string), targets, askedAt }
+    return { question: null, found: [], wrong: [], mistakes: 0, seconds: null, lastFound: 0 };
+  },
+
+  maxFret(board) {
+    const frets = parseInt(board.options.frets, 10);
+    return Math.min(isNaN(frets) ? 12 : frets, board.fretCount);
+  },
+
+  // Stats id of a position: open string pitch and fret, so it survives instrument changes
+  positionId(pos) {
+    return `${pos.midi - pos.fret}:${pos.fret}`;
+  },
+
+  // 0 (strong) .. 1 (weak), or null when never asked
+  weakness(pos) {
+    const item = this.stats.get(this.positionId(pos));
+    if (!item.asked) return null;
+    const errorRate = 1 - item.correct / item.asked;
+    const slowness = Math.min(1, Math.max(0, (item.time / item.asked - 1.5) / 4.5));
+    return Math.min(1, errorRate * 0.7 + slowness * 0.5);
+  },
+
+  positions(board) {
+    return Array.from(board.notes()).map(board.positionOf).filter(pos => pos.fret <= this.maxFret(board));
+  },
+
+  next(board) {
+    const state = board.state;
+    // Targets left unfound count as missed
+    if (state.question) {
+      state.question.targets
+        .filter(t => !state.found.includes(t))
+        .forEach(t => this.stats.record(this.positionId(t), false, 0));
+    }
+
+    // Weighted pick: unseen and weak positions come up more often
+    const positions = this.positions(board);
+    const weights = positions.map((pos) => {
+      const weakness = this.weakness(pos);
+      return weakness === null ? 2 : 1 + weakness * 4;
+    });
+    let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+    let picked = positions[positions.length - 1];
+    for (let i = 0; i < positions.length; i += 1) {
+      r -= weights[i];
+      if (r <= 0) {
+        picked = positions[i];
+        break;
+      }
+    }
+
+    const types = ['string', 'any'];
+    const type = types.includes(board.options.drill) ? board.options.drill : types[Math.floor(Math.random() * 2)];
+    const stringIndex = type === 'string' ? picked.stringIndex : null;
+    const targets = positions.filter(pos => pos.note === picked.note &&
+      (stringIndex === null || pos.stringIndex === stringIndex));
+    Object.assign(state, {
+      question: { note: picked.note, stringIndex: stringIndex, targets: targets, askedAt: Date.now() },
+      found: [],
+      wrong: [],
+      mistakes: 0,
+      seconds: null,
+      lastFound: Date.now()
+    });
+  },
+
+  // Done when every target on the string is found, or any one for "any string"
+  done(board) {
+    const { question, found } = board.state;
+    if (!question) return false;
+    return question.stringIndex === null ? found.length > 0 : found.length === question.targets.length;
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+    const state = board.state;
+    if (!state.question || this.done(board)) return;
+    const target = state.question.targets.find(t => t.stringIndex === pos.stringIndex && t.fret === pos.fret);
+    if (!target) {
+      state.mistakes += 1;
+      state.wrong.push(pos);
+      return;
+    }
+    this.find(board, target);
+  },
+
+  // A note played on the guitar finds a target with its pitch (the string can't be told
+  // apart by ear); any other pitch is a mistake, marked wherever it can be played
+  hear(board, midi) {
+    const state = board.state;
+    if (!state.question || this.done(board)) return;
+    const targets = state.question.targets.filter(t => t.midi === midi);
+    const target = targets.find(t => !state.found.includes(t));
+    if (target) {
+      this.find(board, target);
+    } else if (!targets.length) {
+      state.mistakes += 1;
+      state.wrong.push(...this.positions(board).filter(pos => pos.midi === midi));
+    }
+  },
+
+  find(board, target) {
+    const state = board.state;
+    if (state.found.includes(target)) return;
+    const seconds = (Date.now() - state.lastFound) / 1000;
+    state.lastFound = Date.now();
+    state.found.push(target);
+    this.stats.record(this.positionId(target), state.mistakes === 0, seconds);
+    if (this.done(board)) state.seconds = (Date.now() - state.question.askedAt) / 1000;
+  },
+
+  keydown(board, e) {
+    if (e.key !== 'Enter') return false;
+    this.next(board);
+    return true;
+  },
+
+  render(board) {
+    const { question, found, wrong } = board.state;
+    const maxFret = this.maxFret(board);
+    const has = (list, pos) => list.some(p => p.stringIndex === pos.stringIndex && p.fret === pos.fret);
+    const reveal = this.done(board);
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      if (pos.fret > maxFret) {
+        board.paintNote(btn, { hidden: true });
+        return;
+      }
+      const heat = board.options.heatmap ? this.weakness(pos) : null;
+      if (question && has(found, pos)) {
+        board.paintNote(btn, { group: 'answer', active: true, heat: heat });
+      } else if (question && reveal && has(question.targets, pos)) {
+        board.paintNote(btn, { active: true, heat: heat });
+      } else if (question && has(wrong, pos)) {
+        board.paintNote(btn, { group: 'wrong', heat: heat });
+      } else {
+        board.paintNote(btn, { noLetter: true, heat: heat });
+      }
+    });
+
+    board.container.dispatchEvent(new CustomEvent('fretboard:drill', {
+      detail: { question: question, found: found, mistakes: board.state.mistakes, seconds: board.state.seconds }
+    }));
+  },
+
+  onRebuild(board) {
+    board.clear();
+  }
+};
+
+// Tab: plays a song (option `tab`: ASCII tab, see Tablature, or MusicXML, see MusicXml)
+// event by event at option `tempo` (BPM) on the metronome's clock, lighting each event's notes with intervals from
+// option `key`. Tab columns last one beat each; MusicXML keeps its rhythm, and notes
+// without tab positions are placed by FretPositions. Options `from` and `to` (bar numbers)
+// set the range to play, and `loop` ("true") repeats it. Arrow keys step an event, Space
+// plays or pauses. Each render fires a "fretboard:tab" event on the container with
+// { song, index, event, playing } (song is null when option `tab` can't be read).
+FretboardModes.tab = {
+  initialState() {
+    return { index: 0, playing: false, part: null };
+  },
+
+  // Parsed song for the current tuning (cached until the text or tuning changes):
+  // { title, tempo, bars, events }; see Tablature.parse and MusicXml.parse for events
+  song(board) {
+    const text = board.options.tab || '';
+    const key = `${Tuning.get().strings.join()}:${text}`;
+    if (!board.state.cache || board.state.cache.key !== key) {
+      let song = null;
+      if (MusicXml.looksLikeXml(text)) {
+        song = MusicXml.parse(text);
+        if (song) {
+          FretPositions.assign(song.events);
+          song.events.forEach((e) => { e.notes = e.notes.filter(n => n.stringIndex !== null); });
+        }
+      } else {
+        song = Tablature.parse(text, board.stringCount);
+        if (song) song = Object.assign({ title: '', tempo: null }, song);
+      }
+      board.state.cache = { key: key, song: song };
+    }
+    return board.state.cache.song;
+  },
+
+  // Event indexes inside the from/to bars
+  range(board) {
+    const song = this.song(board);
+    if (!song) return null;
+    const from = parseInt(board.options.from, 10) || 1;
+    const to = parseInt(board.options.to, 10) || song.bars;
+    const inRange = song.events.map((e, i) => (e.bar >= from && e.bar <= to ? i : -1)).filter(i => i !== -1);
+    return inRange.length ? { first: inRange[0], last: inRange[inRange.length - 1] } : null;
+  },
+
+  // Pluck event `index`, `delay` seconds from now
+  sound(board, index, delay) {
+    const song = this.song(board);
+    const event = song && song.events[index];
+    if (!event) return;
+    const open = Tuning.get().strings;
+    event.notes.forEach((n) => {
+      const openNote = Tuning.noteName(open[board.stringCount - 1 - n.stringIndex]);
+      GuitarAudio.playNote(openNote, n.fret, n.stringIndex, delay);
+    });
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  // Move one event within the range (wrapping) and play it; stops playback
+  step(board, delta) {
+    const range = this.range(board);
+    if (!range) return;
+    this.pause(board);
+    let index = board.state.index + delta;
+    if (index > range.last) index = range.first;
+    if (index < range.first) index = range.last;
+    board.state.index = index;
+    this.sound(board, index);
+  },
+
+  pause(board) {
+    if (board.state.part) board.state.part();
+    board.state.part = null;
+    board.state.playing = false;
+  },
+
+  // Play from the current event to the end of the range (from the start when already there)
+  start(board) {
+    const range = this.range(board);
+    if (!range) return;
+    const state = board.state;
+    if (state.index < range.first || state.index >= range.last) state.index = range.first;
+    state.playing = true;
+    let next = state.index;
+
+    // Events are scheduled on the audio clock ahead of time, each lasting until the next one
+    // starts (or for its own length, at the end of the range); the board follows as each sounds
+    state.part = Metronome.addPart({
+      tempo: () => Math.max(20, parseInt(board.options.tempo, 10) || 90),
+      beats: (index) => {
+        if (typeof index !== 'number') return 1;
+        const events = this.song(board).events;
+        const after = events[index + 1];
+        return after && index < this.range(board).last ? after.time - events[index].time : events[index].duration || 1;
+      },
+      schedule: (time) => {
+        if (board.state !== state) return null;
+        const now = this.range(board);
+        if (!now) return 'end';
+        if (next > now.last || next < now.first) {
+          if (board.options.loop !== 'true' && board.options.loop !== true) return 'end';
+          next = now.first;
+        }
+        this.sound(board, next, time - GuitarAudio.initAudio().currentTime);
+        next += 1;
+        return next - 1;
+      },
+      tick: (index) => {
+        // The board was cleared since this was scheduled
+        if (board.state !== state) {
+          state.part();
+          return;
+        }
+        if (index === 'end') {
+          this.pause(board);
+        } else {
+          state.index = index;
+        }
+        board.render();
+      }
+    });
+  },
+
+  play(board) {
+    if (board.state.playing) {
+      this.pause(board);
+    } else {
+      this.start(board);
+    }
+  },
+
+  keydown(board, e) {
+    if (e.key === ' ') {
+      this.play(board);
+      return true;
+    }
+    const delta = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+    if (!delta || !this.song(board)) return false;
+    this.step(board, delta);
+    return true;
+  },
+
+  render(board) {
+    const song = this.song(board);
+    const event = song ? song.events[board.state.index] : null;
+    const key = Theory.NOTE_ORDER.includes(board.options.key) ? board.options.key : null;
+    const spelling = key ? Spelling.forKey(key) : null;
+    const playing = new Map((event ? event.notes : []).map(n => [`${n.stringIndex}:${n.fret}`, n]));
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      const note = playing.get(`${pos.stringIndex}:${pos.fret}`);
+      if (!note) {
+        board.paintNote(btn, { hidden: true });
+        return;
+      }
+      const name = spelling ? spelling.name(pos.note) : Spelling.name(pos.note);
+      board.paintNote(btn, {
+        interval: spelling ? Spelling.interval(spelling.tonic, name) : '',
+        name: name,
+        root: pos.note === key,
+        active: true
+      });
+    });
+    // Techniques above the neck (hammer-on, slide up, ...)
+    board.setAnnotations((event ? event.notes : [])
+      .filter(n => n.technique)
+      .map(n => ({ fret: n.fret, text: n.technique })));
+    board.container.dispatchEvent(new CustomEvent('fretboard:tab', {
+      detail: { song: song, index: board.state.index, event: event, playing: board.state.playing }
+    }));
+  },
+
+  // Same events on the new strings; stop playback if the song no longer fits
+  onRebuild(board) {
+    const song = this.song(board);
+    if (!song) this.pause(board);
+    board.state.index = song ? Math.min(board.state.index, song.events.length - 1) : 0;
+    board.render();
+  }
+};
+
+// MIDI: lights every position of the notes held on a MIDI instrument (MidiInput), labelled
+// with intervals from option `key`, else from the root of the chord they make (ChordFinder),
+// else from the lowest note. Each render fires a "fretboard:midi" event on the container
+// with { notes, chords }.
+FretboardModes.midi = {
+  initialState() {
+    return {};
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  render(board) {
+    const notes = MidiInput.notes();
+    const chords = ChordFinder.identify(notes);
+    const key = Theory.NOTE_ORDER.includes(board.options.key) ? board.options.key : null;
+    let root = null;
+    let spelling = null;
+    if (key) {
+      root = key;
+      spelling = Spelling.forKey(key);
+    } else if (chords.length) {
+      root = chords[0].root;
+      spelling = Spelling.forChord(root, Theory.CHORDS[chords[0].quality]);
+    } else if (notes.length) {
+      root = Tuning.noteName(notes[0]);
+      spelling = Spelling.forKey(root);
+    }
+    const rootName = root ? spelling.name(root) : null;
+    const sounding = new Set(notes);
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      if (!sounding.has(pos.midi)) {
+        board.paintNote(btn, { hidden: true });
+        return;
+      }
+      const name = spelling.name(pos.note);
+      board.paintNote(btn, {
+        interval: Spelling.interval(rootName, name),
+        name: name,
+        root: pos.note === root,
+        active: true
+      });
+    });
+    board.container.dispatchEvent(new CustomEvent('fretboard:midi', {
+      detail: { notes: notes, chords: chords }
+    }));
+  },
+
+  onRebuild(board) {
+    board.render();
+  }
+};
+
+// Chord builder: click up to one note per string to build a chord; clicking the chosen
+// note again mutes its string, and toggleString() switches a string between muted and
+// open. The chord is named with ChordFinder (slash chords and other readings included)
+// and each note is labelled against the best reading's root. Enter or Space strums it.
+// Each render fires a "fretboard:builder" event on the container with
+// { positions, chords } (positions lowest string first).
+FretboardModes.builder = {
+  initialState(board) {
+    return { frets: new Array(board.stringCount).fill(null) }; // per row: fret, or null when muted
+  },
+
+  // Chosen positions, lowest string first
+  positions(board) {
+    const positions = [];
+    board.state.frets.forEach((fret, row) => {
+      const btn = fret === null ? null : board.findNote(row, fret);
+      if (btn) positions.push(board.positionOf(btn));
+    });
+    return positions.sort((a, b) => b.stringIndex - a.stringIndex);
+  },
+
+  chords(board) {
+    return ChordFinder.identify(this.positions(board).map(pos => pos.midi));
+  },
+
+  select(board, pos) {
+    const frets = board.state.frets;
+    frets[pos.stringIndex] = frets[pos.stringIndex] === pos.fret ? null : pos.fret;
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  // Muted -> open string; open or fretted -> muted
+  toggleString(board, row) {
+    const frets = board.state.frets;
+    frets[row] = frets[row] === null ? 0 : null;
+  },
+
+  // Strum from the lowest string up
+  play(board) {
+    this.positions(board).forEach((pos, i) => {
+      GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex, i * 0.04);
+    });
+  },
+
+  keydown(board, e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return false;
+    this.play(board);
+    return true;
+  },
+
+  // Frets from the lowest string, "x" for muted: "x.3.2.0.1.0"
+  saveSelection(board) {
+    const frets = board.state.frets;
+    return frets.some(f => f !== null) ? frets.slice().reverse().map(f => (f === null ? 'x' : f)).join('.') : null;
+  },
+
+  restoreSelection(board, text) {
+    const frets = String(text || '').split('.').reverse()
+      .map(f => (/^\d+$/.test(f) && parseInt(f, 10) <= board.fretCount ? parseInt(f, 10) : null));
+    board.state.frets = new Array(board.stringCount).fill(null).map((f, row) => (frets[row] === undefined ? null : frets[row]));
+  },
+
+  describe(board) {
+    return this.chords(board).slice(0, 3).map(c => c.name).join(' / ');
+  },
+
+  shape(board) {
+    const chord = this.chords(board)[0];
+    const fingered = Voicings.fingering(this.positions(board).map(pos => ({ stringIndex: pos.stringIndex, fret: pos.fret, note: pos.note })));
+    if (!fingered.notes.length) return null;
+    return {
+      notes: fingered.notes.map(n => Object.assign(n, {
+        interval: this.label(board, n.note),
+        root: !!chord && n.note === chord.root
+      })),
+      barre: fingered.barre,
+      muted: true
+    };
+  },
+
+  // A note's chord label against the best reading's root (R, b3, 5, ...), or its interval
+  // from the bass when there is no chord name
+  label(board, note) {
+    const positions = this.positions(board);
+    if (!positions.length) return '';
+    const chord = this.chords(board)[0];
+    if (chord) return Theory.chordLabels(Theory.CHORDS[chord.quality])[Theory.interval(chord.root, note)];
+    const spelling = Spelling.forKey(positions[0].note);
+    return Spelling.interval(spelling.tonic, spelling.name(note));
+  },
+
+  render(board) {
+    const positions = this.positions(board);
+    const chords = this.chords(board);
+    const chord = chords[0];
+    const root = chord ? chord.root : (positions[0] ? positions[0].note : null);
+    const spelling = chord ? Spelling.forChord(root, Theory.CHORDS[chord.quality]) : (root ? Spelling.forKey(root) : null);
+    const chosen = new Set(positions.map(pos => `${pos.stringIndex}:${pos.fret}`));
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      if (!chosen.has(`${pos.stringIndex}:${pos.fret}`)) {
+        board.paintNote(btn, {});
+        return;
+      }
+      board.paintNote(btn, {
+        interval: this.label(board, pos.note),
+        name: spelling.name(pos.note),
+        root: pos.note === root,
+        active: true
+      });
+    });
+    board.container.dispatchEvent(new CustomEvent('fretboard:builder', {
+      detail: { positions: positions, chords: chords }
+    }));
+  },
+
+  // Keep the frets on the strings that are still there
+  onRebuild(board) {
+    const frets = board.state.frets;
+    board.state.frets = new Array(board.stringCount).fill(null).map((f, row) => (frets[row] === undefined ? null : frets[row]));
+    board.render();
+  }
+};
+
+// Progression: plays the chords of option `progression` (see Progressions) in option `key`,
+// one bar each, at option `tempo` (BPM) in option `meter` ("4/4", "3/4", "6/8", ...). Each
+// chord is voiced close to the one before it, and its tones are shown with chord labels,
+// the voicing outlined. The first beat of a bar strums the whole voicing and the other beats
+// the voicing without its bass. Option `loop` ("false") stops at the end instead of repeating.
+// Arrow keys step a chord, Space plays or pauses. Each render fires a "fretboard:progression"
+// event on the container with { chords, index, beat, playing, invalid }.
+FretboardModes.progression = {
+  initialState() {
+    return { index: 0, beat: 0, playing: false, part: null };
+  },
+
+  tonic(board) {
+    return Theory.NOTE_ORDER.includes(board.options.key) ? board.options.key : 'C';
+  },
+
+  // Parsed chords, each with the voicing chosen for it (cached until the progression, key,
+  // tuning or spelling changes): { chords: [{ ..., voicing }], invalid }
+  progression(board) {
+    const tonic = this.tonic(board);
+    const text = board.options.progression || '';
+    const key = `${Tuning.get().strings.join()}:${Spelling.getPreference()}:${tonic}:${text}`;
+    if (!board.state.cache || board.state.cache.key !== key) {
+      const parsed = Progressions.parse(text, tonic);
+      let previous = null;
+      parsed.chords.forEach((chord) => {
+        // A slash chord's bass picks the inversion; other bass notes are left out
+        const inversion = chord.bass ? Theory.CHORDS[chord.quality].steps
+          .findIndex(s => Theory.noteUp(chord.root, s) === chord.bass) : -1;
+        let voicings = Voicings.generate(chord.root, chord.quality, { inversion: inversion === -1 ? null : inversion });
+        if (!voicings.length) voicings = Voicings.generate(chord.root, chord.quality);
+        chord.voicing = voicings[Voicings.nearestIndex(voicings, previous)] || null;
+        previous = chord.voicing || previous;
+      });
+      board.state.cache = { key: key, progression: parsed };
+    }
+    return board.state.cache.progression;
+  },
+
+  // Beats per bar and the tempo (BPM)
+  meter(board) {
+    const beats = parseInt(String(board.options.meter || '4/4').split('/')[0], 10);
+    return {
+      beats: beats > 0 && beats <= 16 ? beats : 4,
+      tempo: Math.max(20, parseInt(board.options.tempo, 10) || 90)
+    };
+  },
+
+  // Strum chord `index` on `beat`, `delay` seconds from now: the whole voicing on the first
+  // beat, without the bass after
+  sound(board, index, beat, delay) {
+    const chord = this.progression(board).chords[index];
+    if (!chord || !chord.voicing) return;
+    const open = Tuning.get().strings;
+    const notes = chord.voicing.notes.slice().sort((a, b) => a.midi - b.midi);
+    (beat === 0 ? notes : notes.slice(1)).forEach((n, i) => {
+      const openNote = Tuning.noteName(open[board.stringCount - 1 - n.stringIndex]);
+      GuitarAudio.playNote(openNote, n.fret, n.stringIndex, (delay || 0) + i * 0.03);
+    });
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  // Move one chord (wrapping) and strum it; stops playback
+  step(board, delta) {
+    const count = this.progression(board).chords.length;
+    if (!count) return;
+    this.pause(board);
+    board.state.index = (board.state.index + delta + count) % count;
+    board.state.beat = 0;
+    this.sound(board, board.state.index, 0);
+  },
+
+  pause(board) {
+    if (board.state.part) board.state.part();
+    board.state.part = null;
+    board.state.playing = false;
+  },
+
+  // Play beat by beat from the current chord
+  start(board) {
+    if (!this.progression(board).chords.length) return;
+    const state = board.state;
+    state.beat = 0;
+    state.playing = true;
+    let index = state.index;
+    let beat = 0;
+
+    // Beats are scheduled on the audio clock ahead of time; the board follows as each sounds
+    state.part = Metronome.addPart({
+      perBeat: () => 1,
+      tempo: () => this.meter(board).tempo,
+      schedule: (time) => {
+        if (board.state !== state) return null;
+        const count = this.progression(board).chords.length;
+        if (beat >= this.meter(board).beats) {
+          beat = 0;
+          index += 1;
+        }
+        if (index >= count) {
+          if (!count || board.options.loop === 'false' || board.options.loop === false) return 'end';
+          index = 0;
+        }
+        this.sound(board, index, beat, time - GuitarAudio.initAudio().currentTime);
+        beat += 1;
+        return { index: index, beat: beat - 1 };
+      },
+      tick: (at) => {
+        // The board was cleared since this was scheduled
+        if (board.state !== state) {
+          state.part();
+          return;
+        }
+        if (at === 'end') {
+          state.index = 0;
+          this.pause(board);
+        } else {
+          state.index = at.index;
+          state.beat = at.beat;
+        }
+        board.render();
+      }
+    });
+  },
+
+  play(board) {
+    if (board.state.playing) {
+      this.pause(board);
+    } else {
+      this.start(board);
+    }
+  },
+
+  keydown(board, e) {
+    if (e.key === ' ') {
+      this.play(board);
+      return true;
+    }
+    const delta = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+    if (!delta || !this.progression(board).chords.length) return false;
+    this.step(board, delta);
+    return true;
+  },
+
+  // "vi · Am · Bar 2 of 4"
+  describe(board) {
+    const chords = this.progression(board).chords;
+    const chord = chords[board.state.index];
+    if (!chord) return '';
+    return `${chord.numeral ? `${chord.numeral} · ` : ''}${chord.name} · Bar ${board.state.index + 1} of ${chords.length}`;
+  },
+
+  shape(board) {
+    const chord = this.progression(board).chords[board.state.index];
+    if (!chord || !chord.voicing) return null;
+    const fingered = Voicings.fingering(chord.voicing.notes);
+    return {
+      notes: fingered.notes.map(n => Object.assign(n, { root: n.degree === 0 })),
+      barre: fingered.barre,
+      muted: true
+    };
+  },
+
+  render(board) {
+    const progression = this.progression(board);
+    const chord = progression.chords[board.state.index] || null;
+    if (!chord) {
+      board.notes().forEach(btn => board.paintNote(btn, { hidden: true }));
+      board.setAnnotations([]);
+    } else {
+      const quality = Theory.CHORDS[chord.quality];
+      const labels = Theory.chordLabels(quality);
+      const spelling = Spelling.forChord(chord.root, quality);
+      const voicing = new Set((chord.voicing ? chord.voicing.notes : []).map(n => `${n.stringIndex}:${n.fret}`));
+
+      board.notes().forEach((btn) => {
+        const pos = board.positionOf(btn);
+        const label = labels[Theory.interval(chord.root, pos.note)];
+        if (!label) {
+          board.paintNote(btn, { hidden: true });
+          return;
+        }
+        board.paintNote(btn, {
+          interval: label,
+          name: spelling.name(pos.note),
+          root: pos.note === chord.root,
+          active: voicing.has(`${pos.stringIndex}:${pos.fret}`)
+        });
+      });
+      // Numeral and chord name above the voicing
+      board.setAnnotations(chord.voicing ? [{
+        fret: chord.voicing.minFret,
+        text: chord.numeral ? `${chord.numeral} ${chord.name}` : chord.name
+      }] : []);
+    }
+    board.container.dispatchEvent(new CustomEvent('fretboard:progression', {
+      detail: {
+        chords: progression.chords,
+        index: board.state.index,
+        beat: board.state.beat,
+        playing: board.state.playing,
+        invalid: progression.invalid
+      }
+    }));
+  },
+
+  // New voicings for the new strings
+  onRebuild(board) {
+    const count = this.progression(board).chords.length;
+    if (!count) this.pause(board);
+    board.state.index = Math.min(board.state.index, Math.max(0, count - 1));
+    board.render();
+  }
+};
+
+// Tuner: shows the note heard through the microphone (PitchInput) at every position it can
+// be played, labelled with its deviation in cents. Open strings stay in view, the one
+// nearest in pitch marked as the root and labelled with the cents away from it. Clicking
+// a note plays it as a reference.
+FretboardModes.tuner = {
+  initialState() {
+    return {};
+  },
+
+  select(board, pos) {
+    GuitarAudio.playNote(pos.open, pos.fret, pos.stringIndex);
+  },
+
+  render(board) {
+    const reading = PitchInput.reading();
+    const note = PitchInput.note();
+    const strings = Tuning.get().strings;
+    const nearest = reading ? PitchDetector.nearestString(reading.frequency, strings) : null;
+    const nearestRow = nearest ? strings.length - 1 - nearest.index : null;
+    const signed = cents => `${cents > 0 ? '+' : ''}${Math.round(cents)}`;
+
+    board.notes().forEach((btn) => {
+      const pos = board.positionOf(btn);
+      if (note !== null && pos.midi === note) {
+        board.paintNote(btn, {
+          active: true,
+          interval: reading && reading.midi === note ? signed(reading.cents) : '',
+          root: pos.fret === 0 && pos.stringIndex === nearestRow
+        });
+      } else if (pos.fret === 0) {
+        const isNearest = pos.stringIndex === nearestRow;
+        board.paintNote(btn, { root: isNearest, interval: isNearest ? signed(nearest.cents) : '' });
+      } else {
+        board.paintNote(btn, { hidden: true });
+      }
+    });
+  },
+
+  onRebuild(board) {
+    board.render();
+  }
+};
+
+// ============================================
+// Diagram Export (SVG, PNG)
+// ============================================
+// Draws a board snapshot (board.snapshot()) as a standalone SVG: string names, frets, nut,
+// inlay markers, fret numbers and every visible note with the colours and labels it has on
+// the page. A board's chord or scale shape (board.shape()) can also be drawn as a compact
+// vertical box. PNG files are rasterised from the SVG on a canvas.
+const DiagramExport = (function () {
+  const FRET_WIDTH = 46;
+  const OPEN_WIDTH = 40;
+  const ROW_HEIGHT = 32;
+  const LABEL_WIDTH = 30;
+  const RADIUS = 13;
+  const MARGIN = 16;
+  const FONT = 'Helvetica, Arial, sans-serif';
+
+  // Same colours as styles.css
+  const COLORS = {
+    board: '#e3dfd8',
+    fret: '#8c8479',
+    nut: '#bbb4aa',
+    string: '#9a8e80',
+    marker: '#777',
+    text: '#111',
+    muted: '#555',
+    white: '#fff',
+    sharp: '#111',
+    root: '#ffd54d',
+    active: '#ff0000',
+    finger: '#333',
+    groups: { 0: '#bfe0ff', 1: '#c8f0c0', 2: '#ffd0e0', 3: '#e2d4ff', answer: '#c8f0c0', wrong: '#ffb3b3' }
+  };
+
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+  }
+
+  function text(x, y, content, attrs) {
+    return `<text x="${x}" y="${y}" text-anchor="middle" font-family="${FONT}" ${attrs || ''}>${escapeXml(content)}</text>`;
+  }
+
+  // Frets around what the board is showing: the outlined notes, else the visible notes when
+  // some are hidden, else the whole neck
+  function fitFrets(snapshot) {
+    const visible = snapshot.notes.filter(n => !n.look.hidden);
+    const active = visible.filter(n => n.look.active);
+    const marked = active.length ? active : (visible.length < snapshot.notes.length ? visible : []);
+    if (!marked.length) return { from: 0, to: snapshot.fretCount };
+    const frets = marked.map(n => n.fret);
+    const min = Math.min(...frets);
+    const from = min <= 2 ? 0 : min - 1;
+    return { from: from, to: Math.min(snapshot.fretCount, Math.max(from + 4, Math.max(...frets) + 1)) };
+  }
+
+  // Colours of a note's group; a shared group such as "0-1" has one per part
+  function groupFills(look) {
+    if (look.group === undefined || look.group === null) return [];
+    return String(look.group).split('-').map(group => COLORS.groups[group]).filter(Boolean);
+  }
+
+  function noteFill(note) {
+    const look = note.look;
+    const fills = groupFills(look);
+    if (fills.length) return fills[0];
+    if (typeof look.heat === 'number') return `hsl(${Math.round(120 - 120 * look.heat)}, 75%, 72%)`;
+    if (look.root) return COLORS.root;
+    return note.note.includes('#') ? COLORS.sharp : COLORS.white;
+  }
+
+  function noteSvg(note, x, y) {
+    const look = note.look;
+    const fill = noteFill(note);
+    const color = fill === COLORS.sharp ? COLORS.white : COLORS.text;
+    const name = look.name || Spelling.name(note.note);
+    const letter = look.noLetter ? '' : name;
+    let svg = `<circle cx="${x}" cy="${y}" r="${RADIUS}" fill="${fill}" ` +
+      `stroke="${look.active ? COLORS.active : '#444'}" stroke-width="${look.active ? 2.5 : 1.2}"/>`;
+    // Shared groups: a wedge of each further colour over the first
+    const fills = groupFills(look);
+    fills.slice(1).forEach((wedgeFill, i) => {
+      const r = RADIUS - 1;
+      const point = t => `${(x + r * Math.cos(t)).toFixed(2)} ${(y + r * Math.sin(t)).toFixed(2)}`;
+      const start = -Math.PI / 2 + 2 * Math.PI * (i + 1) / fills.length;
+      const end = -Math.PI / 2 + 2 * Math.PI * (i + 2) / fills.length;
+      svg += `<path d="M ${x} ${y} L ${point(start)} A ${r} ${r} 0 0 1 ${point(end)} Z" fill="${wedgeFill}"/>`;
+    });
+    if (look.tonic) {
+      svg += `<circle cx="${x}" cy="${y}" r="${RADIUS - 2.5}" fill="none" stroke="${COLORS.root}" stroke-width="3"/>`;
+    }
+    if (look.interval && letter) {
+      svg += text(x, y - 1, look.interval, `font-size="9" font-weight="700" fill="${color}"`);
+      svg += text(x, y + 9, letter, `font-size="9" fill="${color}"`);
+    } else if (look.interval || letter) {
+      const weight = look.interval ? ' font-weight="700"' : '';
+      svg += text(x, y + 4, look.interval || letter, `font-size="11"${weight} fill="${color}"`);
+    }
+    if (look.finger) {
+      svg += `<circle cx="${x + RADIUS - 2}" cy="${y - RADIUS + 2}" r="6" fill="${COLORS.finger}"/>`;
+      svg += text(x + RADIUS - 2, y - RADIUS + 5, look.finger, `font-size="8" fill="${COLORS.white}"`);
+    }
+    return svg;
+  }
+
+  // Standalone SVG of a board snapshot. options: { title, subtitle, from, to } where
+  // from/to limit the frets (default: fitFrets; pass from 0 and to fretCount for the whole neck)
+  function neckSvg(snapshot, options) {
+    const opts = Object.assign({}, fitFrets(snapshot), options);
+    const from = Math.max(0, opts.from);
+    const to = Math.min(snapshot.fretCount, opts.to);
+    const rows = snapshot.strings.length;
+    const header = (opts.title ? 22 : 0) + (opts.subtitle ? 16 : 0);
+    const annotationTop = MARGIN + header;
+    const top = annotationTop + (snapshot.annotations.length ? 20 : 0);
+    const neckHeight = (rows - 1) * ROW_HEIGHT;
+    const left = MARGIN + LABEL_WIDTH + (from === 0 ? OPEN_WIDTH : 0);
+    const firstFret = Math.max(1, from);
+    const width = left + (to - firstFret + 1) * FRET_WIDTH + MARGIN;
+    const height = top + RADIUS + neckHeight + RADIUS + 40 + MARGIN;
+    const rowY = row => top + RADIUS + row * ROW_HEIGHT;
+    // Centre of a note cell; open strings sit left of the nut
+    const fretX = fret => (fret === 0 ? left - OPEN_WIDTH / 2 : left + (fret - firstFret + 0.5) * FRET_WIDTH);
+    const inRange = fret => fret >= from && fret <= to;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+    svg += `<rect width="${width}" height="${height}" fill="${COLORS.white}"/>`;
+    if (opts.title) svg += text(width / 2, MARGIN + 14, opts.title, `font-size="16" font-weight="700" fill="${COLORS.text}"`);
+    if (opts.subtitle) {
+      svg += text(width / 2, MARGIN + header - 4, opts.subtitle, `font-size="11" fill="${COLORS.muted}"`);
+    }
+
+    // Fretted area, frets and nut (or the first fret line when the nut is out of view)
+    const neckTop = top;
+    const neckBottom = top + RADIUS * 2 + neckHeight;
+    svg += `<rect x="${left}" y="${neckTop}" width="${width - MARGIN - left}" height="${neckBottom - neckTop}" fill="${COLORS.board}"/>`;
+    for (let fret = firstFret; fret <= to; fret += 1) {
+      const x = left + (fret - firstFret + 1) * FRET_WIDTH;
+      svg += `<line x1="${x}" y1="${neckTop}" x2="${x}" y2="${neckBottom}" stroke="${COLORS.fret}" stroke-width="1.5"/>`;
+    }
+    svg += from === 0
+      ? `<rect x="${left - 5}" y="${neckTop}" width="6" height="${neckBottom - neckTop}" fill="${COLORS.nut}" stroke="#777" stroke-width="0.5"/>`
+      : `<line x1="${left}" y1="${neckTop}" x2="${left}" y2="${neckBottom}" stroke="${COLORS.fret}" stroke-width="1.5"/>`;
+
+    // Strings (heavier toward the bass) and their names
+    snapshot.strings.forEach((string, row) => {
+      const y = rowY(row);
+      const weight = (1 + row * 0.35).toFixed(2);
+      svg += `<line x1="${left - (from === 0 ? OPEN_WIDTH : 0)}" y1="${y}" x2="${width - MARGIN}" y2="${y}" stroke="${COLORS.string}" stroke-width="${weight}"/>`;
+      svg += text(MARGIN + LABEL_WIDTH / 2, y + 4, string.name, `font-size="12" font-weight="600" fill="#333"`);
+    });
+
+    // Inlay markers and fret numbers under the neck
+    const single = new Set(snapshot.markers.single);
+    const double = new Set(snapshot.markers.double);
+    for (let fret = firstFret; fret <= to; fret += 1) {
+      const x = fretX(fret);
+      if (single.has(fret)) svg += `<circle cx="${x}" cy="${neckBottom + 10}" r="4" fill="${COLORS.marker}"/>`;
+      if (double.has(fret)) {
+        svg += `<circle cx="${x - 6}" cy="${neckBottom + 10}" r="3.5" fill="${COLORS.marker}"/>`;
+        svg += `<circle cx="${x + 6}" cy="${neckBottom + 10}" r="3.5" fill="${COLORS.marker}"/>`;
+      }
+      svg += text(x, neckBottom + 30, fret, `font-size="11" fill="#444"`);
+    }
+    if (from === 0) svg += text(fretX(0), neckBottom + 30, 0, `font-size="11" fill="#444"`);
+
+    // Labels above the neck
+    snapshot.annotations.filter(item => inRange(item.fret)).forEach((item) => {
+      const x = item.fret === 0 ? left - OPEN_WIDTH : left + (item.fret - firstFret) * FRET_WIDTH;
+      const fill = COLORS.groups[item.group] || COLORS.white;
+      const w = String(item.text).length * 6.5 + 8;
+      svg += `<rect x="${x}" y="${annotationTop}" width="${w}" height="16" rx="3" fill="${fill}"/>`;
+      svg += `<text x="${x + 4}" y="${annotationTop + 12}" font-family="${FONT}" font-size="11" font-weight="600" fill="${COLORS.text}">${escapeXml(item.text)}</text>`;
+    });
+
+    snapshot.notes.forEach((note) => {
+      if (note.look.hidden || !inRange(note.fret)) return;
+      svg += noteSvg(note, fretX(note.fret), rowY(note.stringIndex));
+    });
+
+    return `${svg}</svg>`;
+  }
+
+  // Vertical chord/scale box for a shape from board.shape(): low string on the left, the
+  // nut (or a starting fret number) on top, open "o" and muted "x" markers above it, finger
+  // numbers in the dots and a barre bar. Chord shapes list each string's interval underneath.
+  // options: { title, subtitle }
+  function boxSvg(shape, options) {
+    const opts = Object.assign({}, options);
+    const gap = 24;
+    const fretHeight = 30;
+    const dot = 10;
+    const count = shape.strings.length;
+    const fretted = shape.notes.filter(n => n.fret > 0).map(n => n.fret);
+    const maxFret = fretted.length ? Math.max(...fretted) : 0;
+    // Open position when everything fits in the first four frets
+    const start = maxFret <= 4 ? 1 : Math.min(...fretted);
+    const frets = Math.max(4, maxFret - start + 1);
+    const oneEach = shape.strings.every((s, row) => shape.notes.filter(n => n.stringIndex === row).length <= 1);
+
+    const header = (opts.title ? 22 : 0) + (opts.subtitle ? 16 : 0);
+    const left = MARGIN + 28;
+    const top = MARGIN + header + 22;
+    const width = left + (count - 1) * gap + MARGIN + 12;
+    const gridBottom = top + frets * fretHeight;
+    const height = gridBottom + (oneEach ? 18 : 0) + 18 + MARGIN;
+    const stringX = row => left + (count - 1 - row) * gap;
+    const fretY = fret => top + (fret - start + 0.5) * fretHeight;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+    svg += `<rect width="${width}" height="${height}" fill="${COLORS.white}"/>`;
+    if (opts.title) svg += text(width / 2, MARGIN + 14, opts.title, `font-size="14" font-weight="700" fill="${COLORS.text}"`);
+    if (opts.subtitle) {
+      svg += text(width / 2, MARGIN + header - 4, opts.subtitle, `font-size="11" fill="${COLORS.muted}"`);
+    }
+
+    // Frets, then the nut or the starting fret number
+    for (let i = 0; i <= frets; i += 1) {
+      const y = top + i * fretHeight;
+      svg += `<line x1="${left}" y1="${y}" x2="${stringX(0)}" y2="${y}" stroke="${COLORS.fret}" stroke-width="1.5"/>`;
+    }
+    if (start === 1) {
+      svg += `<rect x="${left - 1}" y="${top - 5}" width="${stringX(0) - left + 2}" height="6" fill="${COLORS.text}"/>`;
+    } else {
+      svg += `<text x="${left - 10}" y="${fretY(start) + 4}" text-anchor="end" font-family="${FONT}" font-size="11" fill="#444">${start}fr</text>`;
+    }
+
+    shape.strings.forEach((string, row) => {
+      const x = stringX(row);
+      const notes = shape.notes.filter(n => n.stringIndex === row);
+      svg += `<line x1="${x}" y1="${top}" x2="${x}" y2="${gridBottom}" stroke="${COLORS.string}" stroke-width="${(1 + row * 0.3).toFixed(2)}"/>`;
+      if (notes.some(n => n.fret === 0)) {
+        svg += `<circle cx="${x}" cy="${top - 13}" r="5" fill="none" stroke="${COLORS.text}" stroke-width="1.3"/>`;
+      } else if (!notes.length && shape.muted) {
+        svg += text(x, top - 9, 'x', `font-size="13" fill="${COLORS.text}"`);
+      }
+      if (oneEach && notes.length) svg += text(x, gridBottom + 16, notes[0].interval || '', `font-size="10" font-weight="700" fill="${COLORS.text}"`);
+      svg += text(x, height - MARGIN - 2, string.name, `font-size="10" fill="${COLORS.muted}"`);
+    });
+
+    if (shape.barre) {
+      const y = fretY(shape.barre.fret);
+      const x1 = stringX(shape.barre.from);
+      svg += `<rect x="${x1 - dot}" y="${y - dot}" width="${stringX(shape.barre.to) - x1 + dot * 2}" height="${dot * 2}" rx="${dot}" fill="${COLORS.finger}"/>`;
+    }
+
+    shape.notes.filter(n => n.fret > 0).forEach((n) => {
+      const x = stringX(n.stringIndex);
+      const y = fretY(n.fret);
+      const fill = n.root ? COLORS.root : COLORS.finger;
+      svg += `<circle cx="${x}" cy="${y}" r="${dot}" fill="${fill}" stroke="${n.root ? '#444' : COLORS.finger}" stroke-width="1.2"/>`;
+      if (n.finger) svg += text(x, y + 4, n.finger, `font-size="11" font-weight="700" fill="${n.root ? COLORS.text : COLORS.white}"`);
+    });
+
+    return `${svg}</svg>`;
+  }
+
+  // { width, height } of an SVG string from this module
+  function size(svg) {
+    return {
+      width: parseFloat(/width="([\d.]+)"/.exec(svg)[1]),
+      height: parseFloat(/height="([\d.]+)"/.exec(svg)[1])
+    };
+  }
+
+  // Rasterise an SVG string; resolves with a PNG Blob
+  function toPng(svg, scale) {
+    const factor = scale || 2;
+    const { width, height } = size(svg);
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * factor);
+        canvas.height = Math.round(height * factor);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(factor, factor);
+        ctx.drawImage(img, 0, 0);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+      };
+      img.onerror = () => reject(new Error('Could not render the SVG'));
+      img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+  }
+
+  // Save a Blob or string as a file
+  function download(data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: type || 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // "C Major · Root position" -> "c-major-root-position"
+  function fileName(title, extension) {
+    const slug = String(title || '').toLowerCase().replace(/#/g, 'sharp').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'fretboard'}.${extension}`;
+  }
+
+  return {
+    fitFrets: fitFrets,
+    neckSvg: neckSvg,
+    boxSvg: boxSvg,
+    size: size,
+    toPng: toPng,
+    download: download,
+    fileName: fileName
+  };
+})();
+
+// ============================================
+// Print Sheet
+// ============================================
+// Diagrams collected for printing ({ title, svg, wide }), kept in localStorage so a
+// worksheet can be built up across visits.
+const PrintSheet = (function () {
+  const STORAGE_KEY = 'guitar-intervals.print-sheet';
+  const listeners = createListeners();
+  let items = load();
+
+  function load() {
+    const saved = Store.readJson(STORAGE_KEY, []);
+    return Array.isArray(saved) ? saved.filter(item => item && typeof item.svg === 'string') : [];
+  }
+
+  function save() {
+    Store.writeJson(STORAGE_KEY, items);
+    listeners.emit(items);
+  }
+
+  function all() {
+    return items.slice();
+  }
+
+  function add(item) {
+    items.push(item);
+    save();
+  }
+
+  function remove(index) {
+    items.splice(index, 1);
+    save();
+  }
+
+  function clear() {
+    items = [];
+    save();
+  }
+
+  return {
+    all: all,
+    add: add,
+    remove: remove,
+    clear: clear,
+    // Sheet changed; returns an unsubscribe function
+    onChange: listeners.add
+  };
+})();
+
+// ============================================
+// Shareable URL State
+// ============================================
+// The page state lives in the URL hash so a link reopens the same view, e.g.
+//   #instrument=guitar&tuning=drop-d&names=flats&0.key=G&0.scale=major&0.sel=A
+// Global keys: instrument, tuning (a preset id, or open-string MIDI numbers joined by ".")
+// and names (sharps/flats preference). Board keys start with the board's index on the
+// page: mode, the options in OPTIONS, and sel (the mode's saveSelection()). Only values that
+// differ from the page's starting state are written. Every change pushes a history entry,
+// so Back/Forward step through them.
+const UrlState = (function () {
+  // Board options and the page control that shows each one. Restoring goes through the
+  // control so titles and dependent controls follow (quality before strings/inversion).
+  const OPTIONS = [
+    ['key', '[data-key-picker]'],
+    ['scale', '[data-scale-picker]'],
+    ['positions', '[data-position-system]'],
+    ['position', null],
+    ['quality', '[data-quality-picker]'],
+    ['span', '[data-voicing-span]'],
+    ['strings', '[data-voicing-strings]'],
+    ['inversion', '[data-voicing-inversion]'],
+    ['level', '[data-quiz-level]'],
+    ['direction', '[data-quiz-direction]'],
+    ['drill', '[data-drill-type]'],
+    ['heatmap', '[data-drill-heatmap]'],
+    ['playback', '[data-quiz-playback]'],
+    ['arpeggio', '[data-sequence-arpeggio]'],
+    ['pattern', '[data-sequence-pattern]']
+  ];
+
+  let entries = []; // { board, section, defaults }
+  let initial = null; // global state before the hash was applied
+  let restoring = false;
+
+  function control(section, selector) {
+    return selector ? section.querySelector(selector) : null;
+  }
+
+  // Current value of a board option as a string ("" when unset)
+  function optionValue(board, section, name, selector) {
+    const el = control(section, selector);
+    if (el) return el.type === 'checkbox' ? String(el.checked) : el.value;
+    const value = board.options[name];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  function globalState() {
+    const tuning = Tuning.get();
+    return {
+      instrument: Tuning.getInstrument().id,
+      tuning: tuning.id === 'custom' ? tuning.strings.join('.') : tuning.id,
+      names: Spelling.getPreference()
+    };
+  }
+
+  function boardState(entry) {
+    const { board, section } = entry;
+    const state = { mode: board.options.mode };
+    OPTIONS.forEach(([name, selector]) => {
+      state[name] = optionValue(board, section, name, selector);
+    });
+    const selection = board.mode.saveSelection ? board.mode.saveSelection(board) : null;
+    state.sel = selection === null || selection === undefined ? '' : String(selection);
+    return state;
+  }
+
+  function encode() {
+    const params = new URLSearchParams();
+    const current = globalState();
+    Object.keys(current).forEach((name) => {
+      if (current[name] !== initial[name]) params.set(name, current[name]);
+    });
+    entries.forEach((entry, i) => {
+      const state = boardState(entry);
+      Object.keys(state).forEach((name) => {
+        if (state[name] !== entry.defaults[name]) params.set(`${i}.${name}`, state[name]);
+      });
+    });
+    return params.toString();
+  }
+
+  // Record a history entry for the current state
+  function write() {
+    if (restoring || !initial) return;
+    const hash = encode();
+    if (hash === location.hash.replace(/^#/, '')) return;
+    history.pushState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+  }
+
+  function applyGlobal(params) {
+    const get = name => (params.has(name) ? params.get(name) : initial[name]);
+    if (get('instrument') !== Tuning.getInstrument().id) Tuning.setInstrument(get('instrument'));
+    const text = get('tuning');
+    const tuning = /^[\d.]+$/.test(text)
+      ? Tuning.fromStrings(text.split('.').map(n => parseInt(n, 10)))
+      : Tuning.fromPreset(text);
+    if (tuning && tuning.strings.join() !== Tuning.get().strings.join()) Tuning.set(tuning);
+    if (get('names') !== Spelling.getPreference()) Spelling.setPreference(get('names'));
+  }
+
+  function setControl(el, value) {
+    if (el.type === 'checkbox') {
+      if (String(el.checked) === value) return;
+      el.checked = value === 'true';
+    } else {
+      if (el.value === value || !Array.from(el.options).some(o => o.value === value)) return;
+      el.value = value;
+    }
+    el.dispatchEvent(new Event('change'));
+  }
+
+  function applyBoard(entry, i, params) {
+    const { board, section, defaults } = entry;
+    const get = name => (params.has(`${i}.${name}`) ? params.get(`${i}.${name}`) : defaults[name]);
+
+    // Only the modes this board's controls offer: its own, and the chord quiz where a
+    // data-chord-quiz toggle switches into it
+    const mode = get('mode');
+    const quizToggle = section.querySelector('[data-chord-quiz]');
+    const offered = [defaults.mode].concat(quizToggle ? ['chord', 'chord-quiz'] : []);
+    if (offered.includes(mode) && mode !== board.options.mode) {
+      if (quizToggle && [mode, board.options.mode].includes('chord-quiz')) {
+        setControl(quizToggle, String(mode === 'chord-quiz'));
+      } else {
+        board.setMode(mode);
+      }
+    }
+
+    OPTIONS.forEach(([name, selector]) => {
+      const el = control(section, selector);
+      if (el) {
+        setControl(el, get(name));
+      } else {
+        board.options[name] = get(name) === '' ? undefined : get(name);
+      }
+    });
+
+    if (board.mode.restoreSelection) {
+      board.mode.restoreSelection(board, get('sel') || null);
+    }
+    board.render();
+  }
+
+  function applyParams(params) {
+    applyGlobal(params);
+    entries.forEach((entry, i) => applyBoard(entry, i, params));
+  }
+
+  // A hand-edited or cut-off link falls back to the default view rather than breaking the page
+  function apply(hash) {
+    restoring = true;
+    try {
+      applyParams(new URLSearchParams(hash.replace(/^#/, '')));
+    } catch (e) {
+      applyParams(new URLSearchParams());
+    } finally {
+      restoring = false;
+    }
+  }
+
+  // Start tracking boards ([{ board, section }]) once their controls are bound, and open
+  // the view in the current hash
+  function start(boards) {
+    initial = globalState();
+    entries = boards.map(entry => Object.assign({}, entry, { defaults: boardState(entry) }));
+    entries.forEach(({ board }) => board.container.addEventListener('fretboard:change', write));
+    Tuning.onChange(write);
+    Spelling.onChange(write);
+    window.addEventListener('popstate', () => apply(location.hash));
+    if (location.hash.length > 1) apply(location.hash);
+  }
+
+  return {
+    start: start,
+    write: write
+  };
+})();
 
-// Guitar Minor Triads App (third instance)
+// ============================================
+// Page Setup
+// ============================================
+// Every element with data-fretboard becomes a board; its data-* attributes are the options,
+// e.g. <div data-fretboard data-mode="chord" data-quality="minor" data-label="..."></div>.
+// Controls in the same .app section drive that board:
+// - a select with data-key-picker sets its key root (shown in .key-status), and one with
+//   data-position-system limits the scale to CAGED or 3-notes-per-string boxes
+// - a select with data-scale-picker sets its scale; data-degree-toggles, data-custom-scale-name,
+//   data-custom-scale-save and data-custom-scale-delete make up the custom scale builder
+// - a select with data-quality-picker sets its chord quality (and .chord-title/.chord-formula text)
+// - selects with data-voicing-span/-strings/-inversion filter its voicings; .voicing-status shows
+//   which voicing is outlined
+// - buttons with data-step move through voicings or scale positions
+// - quiz boards: data-quiz-next / data-quiz-replay buttons; the interval quiz also takes
+//   data-quiz-level, data-quiz-direction, data-quiz-answers, data-quiz-stats, data-quiz-reset,
+//   .quiz-status and .quiz-streak; the note drill takes data-drill-type, data-drill-heatmap,
+//   data-drill-reset and .drill-status; a chord board with a data-chord-quiz checkbox can
+//   switch into the chord quiz (see bindChordQuizControls)
+// - tab boards: data-tab-input, data-tab-load, data-tab-file, data-tab-tempo, data-tab-play,
+//   data-tab-from, data-tab-to, data-tab-loop and .tab-status (see bindTabControls)
+// - MIDI boards: data-midi-connect, data-midi-source, data-midi-sound, .midi-chord and
+//   .midi-status (see bindMidiControls)
+// - chord builder boards: data-builder-strum, data-builder-strings and .builder-status
+// - progression boards: data-progression-input, data-progression-tonality, data-progression-palette,
+//   data-progression-tempo, data-progression-meter, data-progression-play, data-progression-loop
+//   and .progression-status (see bindProgressionControls)
+// - intervals boards: data-sequence-arpeggio, data-sequence-pattern, data-sequence-rate,
+//   data-sequence-loop, data-sequence-play, data-sequence-tab and .sequence-status play the
+//   scale or an arpeggio in the current box (see bindSequenceControls)
+// - a data-pitch-listen checkbox answers the board's quiz by playing into the microphone, with
+//   .pitch-status; a .tuner-display shows the tuner (see bindPitchControls)
+// - data-metronome-* controls run the metronome and data-drone holds a drone on the board's key
+//   (see bindPracticeControls)
+// - data-export buttons save the board as SVG or PNG or add it to the print sheet;
+//   data-export-range picks the frets or the chord/scale box, and [data-shape-box] shows that box
 (function () {
-  /**
-   * Musical data
-   */
-  const NOTE_ORDER = [
-    "C",
-    "C#",
-    "D",
-    "D#",
-    "E",
-    "F",
-    "F#",
-    "G",
-    "G#",
-    "A",
-    "A#",
-    "B",
-  ];
+  // Loaded by Node: no page to set up (see the end of the file)
+  if (typeof document === 'undefined') return;
 
-  // Standard tuning string notes from bottom to top: E, A, D, G, B, E
-  const STRINGS_LOW_TO_HIGH = ["E", "A", "D", "G", "B", "E"]; // low to high
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
 
-  // UI constants
-  const FRET_COUNT = 22;
+  // Key root (option `key`): on the intervals board it paints the scale without clicking a note
+  function bindKeyPicker(board, section) {
+    const keyEl = section.querySelector('[data-key-picker]');
+    if (!keyEl) return;
+    keyEl.innerHTML = `<option value="none">None</option>` +
+      Theory.NOTE_ORDER.map((note) => {
+        const flat = Spelling.plain(note, true);
+        return `<option value="${note}">${flat === note ? note : `${note}/${flat}`}</option>`;
+      }).join('');
+    keyEl.value = Theory.NOTE_ORDER.includes(board.options.key) ? board.options.key : 'none';
+    keyEl.addEventListener('change', () => {
+      board.setOption('key', keyEl.value === 'none' ? null : keyEl.value);
+    });
+  }
 
-  // DOM for third instance
-  const boardEl = document.getElementById("fretboard-3");
-  const fretNumberEl = document.getElementById("fret-numbers-3");
-  const markerEl = document.getElementById("fret-markers-3");
-  const fretNumberBottomEl = document.getElementById("fret-numbers-bottom-3");
-  const markerBottomEl = document.getElementById("fret-markers-bottom-3");
-  if (!boardEl) return;
+  // Scale picker (built-in catalog plus saved scales) and the custom scale builder
+  function bindScaleControls(board, section) {
+    const pickerEl = section.querySelector('[data-scale-picker]');
+    if (!pickerEl) return;
+    const togglesEl = section.querySelector('[data-degree-toggles]');
+    const nameEl = section.querySelector('[data-custom-scale-name]');
+    const saveEl = section.querySelector('[data-custom-scale-save]');
+    const deleteEl = section.querySelector('[data-custom-scale-delete]');
+    const positionsEl = section.querySelector('[data-position-system]');
+    const statusEl = section.querySelector('.key-status');
 
-  document.documentElement.style.setProperty("--fret-count", String(FRET_COUNT + 1));
+    function renderPicker() {
+      const groups = {};
+      ScaleLibrary.all().forEach((scale) => {
+        (groups[scale.group] = groups[scale.group] || []).push(scale);
+      });
+      let html = `<option value="none">None</option>`;
+      Object.keys(groups).forEach((group) => {
+        html += `<optgroup label="${escapeHtml(group)}">`;
+        html += groups[group].map(scale => `<option value="${scale.id}">${escapeHtml(scale.name)}</option>`).join('');
+        html += `</optgroup>`;
+      });
+      if (board.options.scale === 'draft') html += `<option value="draft">(Unsaved scale)</option>`;
+      pickerEl.innerHTML = html;
+      pickerEl.value = ScaleLibrary.get(board.options.scale) ? board.options.scale : 'none';
+    }
 
-  function renderFretNumbers(targetEl) {
-    if (!targetEl) return;
-    let html = '';
-    html += `<div style="grid-column:1"></div>`; // label spacer
-    html += `<div style="grid-column:2"></div>`; // nut spacer
-    for (let f = 0; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      html += `<div style="grid-column:${col}">${f}</div>`;
+    // Show a scale's degrees in the builder
+    function loadBuilder(scale) {
+      if (!togglesEl) return;
+      togglesEl.querySelectorAll('[data-degree]').forEach((btn) => {
+        const degree = parseInt(btn.dataset.degree, 10);
+        btn.classList.toggle('active', degree === 0 || (!!scale && scale.set.has(degree)));
+      });
+      if (nameEl && scale && scale.id !== 'draft') nameEl.value = scale.custom ? scale.name : '';
+      if (deleteEl) deleteEl.disabled = !(scale && scale.custom);
     }
-    targetEl.innerHTML = html;
+
+    function builderSteps() {
+      return Array.from(togglesEl.querySelectorAll('[data-degree].active')).map(btn => parseInt(btn.dataset.degree, 10));
+    }
+
+    // Fingering boxes: whole neck, CAGED shapes or 3-notes-per-string patterns
+    if (positionsEl) {
+      positionsEl.innerHTML = `<option value="none">Whole neck</option>` +
+        Object.keys(ScalePositions.SYSTEMS)
+          .map(id => `<option value="${id}">${ScalePositions.SYSTEMS[id].name}</option>`).join('');
+      positionsEl.value = ScalePositions.SYSTEMS[board.options.positions] ? board.options.positions : 'none';
+      positionsEl.addEventListener('change', () => {
+        board.options.position = 0;
+        board.setOption('positions', positionsEl.value);
+      });
+    }
+
+    if (statusEl) {
+      board.container.addEventListener('fretboard:intervals', (e) => {
+        const { root, key, scale, position } = e.detail;
+        const spelling = key ? Spelling.forKey(key, scale && scale.steps) : null;
+        const keyName = key ? `${spelling.tonic} ${scale ? scale.name : ''}`.trim() : '';
+        let text = '';
+        if (!key) {
+          text = '';
+        } else if (!root || root === key) {
+          text = `Key: ${keyName}`;
+        } else if (scale && !scale.set.has(Theory.interval(key, root))) {
+          text = `Intervals from ${spelling.name(root)}, which is outside ${keyName}`;
+        } else {
+          const degree = Spelling.degree(spelling.tonic, spelling.name(root));
+          text = `Intervals from ${spelling.name(root)}, degree ${degree} of ${keyName}`;
+        }
+        if (position) {
+          text += `${text ? ' · ' : ''}${position.name} (${position.index + 1} of ${position.count}, ←/→ to step)`;
+        }
+        statusEl.textContent = text;
+      });
+    }
+
+    pickerEl.addEventListener('change', () => {
+      board.setOption('scale', pickerEl.value === 'none' ? null : pickerEl.value);
+      renderPicker();
+      loadBuilder(ScaleLibrary.get(board.options.scale));
+    });
+
+    if (togglesEl) {
+      togglesEl.innerHTML = Theory.DEGREE_NAMES.map((name, degree) =>
+        `<button class="btn-scale" data-degree="${degree}"${degree === 0 ? ' disabled' : ''}>${name}</button>`
+      ).join('');
+      togglesEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-degree]');
+        if (!btn || btn.disabled) return;
+        btn.classList.toggle('active');
+        // Preview the edited scale straight away
+        ScaleLibrary.setDraft(builderSteps());
+        board.setOption('scale', 'draft');
+        renderPicker();
+        if (deleteEl) deleteEl.disabled = true;
+      });
+    }
+
+    if (saveEl) {
+      saveEl.addEventListener('click', () => {
+        const saved = ScaleLibrary.saveCustom(nameEl.value, builderSteps());
+        nameEl.classList.toggle('invalid', !saved);
+        if (!saved) return;
+        board.setOption('scale', saved.id);
+        renderPicker();
+        loadBuilder(saved);
+      });
+    }
+
+    if (deleteEl) {
+      deleteEl.addEventListener('click', () => {
+        const scale = ScaleLibrary.get(board.options.scale);
+        if (!scale || !scale.custom) return;
+        ScaleLibrary.removeCustom(scale.id);
+        board.setOption('scale', null);
+        renderPicker();
+        loadBuilder(null);
+      });
+    }
+
+    ScaleLibrary.onChange(renderPicker);
+    renderPicker();
+    loadBuilder(ScaleLibrary.get(board.options.scale));
+    board.render();
   }
 
-  function renderFretMarkers(targetEl) {
-    if (!targetEl) return;
-    const singleDotFrets = new Set([3, 5, 7, 9, 15, 17, 19, 21]);
-    let html = '';
-    for (let f = 0; f <= FRET_COUNT; f += 1) {
-      const col = 3 + f;
-      if (singleDotFrets.has(f)) {
-        html += `<div class="dot" style="grid-column:${col}" aria-hidden="true"></div>`;
-      } else if (f === 12) {
-        html += `<div class="double" style="grid-column:${col}" aria-hidden="true"><div class="dot"></div><div class="dot"></div></div>`;
+  // Chord quality picker, voicing filters, step buttons and voicing status
+  function bindChordControls(board, section) {
+    const qualityEl = section.querySelector('[data-quality-picker]');
+    if (qualityEl) {
+      const triadsOnly = qualityEl.hasAttribute('data-triads-only');
+      qualityEl.innerHTML = Object.keys(Theory.CHORDS)
+        .filter(id => !triadsOnly || Theory.CHORDS[id].steps.length === 3)
+        .map(id => `<option value="${id}">${Theory.CHORDS[id].name}</option>`)
+        .join('');
+      qualityEl.value = board.mode.quality(board);
+
+      const showQuality = () => {
+        const chord = Theory.CHORDS[qualityEl.value];
+        const title = `${chord.name} ${chord.steps.length === 3 ? 'Triads' : 'Chords'}`;
+        section.querySelectorAll('.chord-title').forEach((t) => { t.textContent = title; });
+        section.querySelectorAll('.chord-formula').forEach((t) => { t.textContent = chord.labels.join(', '); });
+      };
+      qualityEl.addEventListener('change', () => {
+        board.setOption('quality', qualityEl.value);
+        showQuality();
+        renderVoicingFilters();
+      });
+      showQuality();
+    }
+
+    // Voicing filters: fret span, string set and inversion
+    const spanEl = section.querySelector('[data-voicing-span]');
+    const stringsEl = section.querySelector('[data-voicing-strings]');
+    const inversionEl = section.querySelector('[data-voicing-inversion]');
+    const statusEl = section.querySelector('.voicing-status');
+
+    // String sets and inversions depend on how many strings the chord needs.
+    // A strings select marked data-required has no "Any" choice.
+    function renderVoicingFilters() {
+      const size = Voicings.voiceCount(board.mode.quality(board));
+      if (stringsEl) {
+        const openNotes = Tuning.openNotes().reverse();
+        const sets = Voicings.adjacentStringSets(size, openNotes.length);
+        const required = stringsEl.hasAttribute('data-required');
+        stringsEl.innerHTML = (required ? '' : `<option value="any">Any</option>`) +
+          sets.map((rows) => {
+            const name = Voicings.stringSetName(rows);
+            const letters = [...rows].reverse().map(row => openNotes[row]).join('-');
+            return `<option value="${name}">${name} (${letters})</option>`;
+          }).join('');
+        const names = sets.map(Voicings.stringSetName);
+        stringsEl.value = names.includes(board.options.strings) ? board.options.strings : (required ? names[0] : 'any');
+        board.options.strings = stringsEl.value;
+      }
+      if (inversionEl) {
+        inversionEl.innerHTML = `<option value="any">Any</option>` +
+          Voicings.INVERSION_NAMES.slice(0, Math.min(size, 4))
+            .map((name, i) => `<option value="${i}">${name}</option>`).join('');
+        inversionEl.value = inversionEl.querySelector(`option[value="${board.options.inversion}"]`) ? board.options.inversion : 'any';
+        board.options.inversion = inversionEl.value;
       }
     }
-    targetEl.innerHTML = html;
+
+    if (spanEl) {
+      spanEl.value = board.options.span || '4';
+      spanEl.addEventListener('change', () => board.setOption('span', spanEl.value));
+    }
+    if (stringsEl) stringsEl.addEventListener('change', () => board.setOption('strings', stringsEl.value));
+    if (inversionEl) inversionEl.addEventListener('change', () => board.setOption('inversion', inversionEl.value));
+    if (stringsEl || inversionEl) {
+      renderVoicingFilters();
+      Tuning.onChange(() => {
+        renderVoicingFilters();
+        board.render();
+      });
+    }
+
+    // Buttons with data-step move through voicings or scale positions (-1 down the neck, 1 up)
+    section.querySelectorAll('[data-step]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        if (!board.mode.step) return;
+        board.mode.step(board, parseInt(btn.dataset.step, 10));
+        board.render();
+        board.changed();
+      });
+    });
+
+    if (statusEl) {
+      board.container.addEventListener('fretboard:voicing', (e) => {
+        const { index, count, voicing, hidden } = e.detail;
+        if (!board.state.root || hidden) {
+          statusEl.textContent = '';
+        } else if (!voicing) {
+          statusEl.textContent = 'No voicing fits these filters';
+        } else {
+          statusEl.textContent = `Voicing ${index + 1} of ${count}: ${Voicings.inversionName(voicing)}, strings ${voicing.strings} (←/→ to cycle)`;
+        }
+      });
+    }
   }
 
-  function noteUp(baseNote, semitoneSteps) {
-    const NOTE_ORDER_LOCAL = NOTE_ORDER;
-    const baseIndex = NOTE_ORDER_LOCAL.indexOf(baseNote);
-    const idx = (baseIndex + semitoneSteps) % 12;
-    return NOTE_ORDER_LOCAL[idx];
+  // Quiz buttons: data-quiz-next asks a new question, data-quiz-replay plays it again
+  function bindQuizButtons(board, section) {
+    section.querySelectorAll('[data-quiz-next]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        if (!board.mode.next) return;
+        board.mode.next(board);
+        board.render();
+      });
+    });
+    section.querySelectorAll('[data-quiz-replay]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        if (board.mode.play) board.mode.play(board);
+      });
+    });
   }
 
-  function buildBoard() {
-    const nutDiv = `<div class=\"nut\" aria-hidden=\"true\"></div>`;
-    const stringsTopToBottom = [...STRINGS_LOW_TO_HIGH].reverse();
-    let html = nutDiv;
-    stringsTopToBottom.forEach((openNote, rowIndex) => {
-      html += `<div class=\"string-label cell\">${openNote}</div>`;
-      for (let fret = 0; fret <= FRET_COUNT; fret += 1) {
-        const stepsFromOpen = fret;
-        const noteName = noteUp(openNote, stepsFromOpen);
-        const sharpClass = noteName.includes('#') ? ' sharp' : '';
-        html += `<div class=\"cell\" data-string=\"${openNote}\" data-fret=\"${fret}\">\n          <button class=\"note${sharpClass}\" data-note=\"${noteName}\" data-open=\"${openNote}\" data-fret=\"${fret}\" data-string-index=\"${rowIndex}\" aria-label=\"${noteName} at fret ${fret} on ${openNote} string\">\n            <span class=\"interval ghost\"></span>\n            <span class=\"letter\">${noteName}</span>\n          </button>\n        </div>`;
+  // Interval quiz: level/direction pickers, interval name answers, status and statistics
+  function bindIntervalQuizControls(board, section) {
+    const mode = FretboardModes['interval-quiz'];
+    const levelEl = section.querySelector('[data-quiz-level]');
+    const directionEl = section.querySelector('[data-quiz-direction]');
+    const answersEl = section.querySelector('[data-quiz-answers]');
+    const statusEl = section.querySelector('.quiz-status');
+    const streakEl = section.querySelector('.quiz-streak');
+    const statsEl = section.querySelector('[data-quiz-stats]');
+    const resetEl = section.querySelector('[data-quiz-reset]');
+    if (board.mode !== mode) return;
+
+    function renderAnswers() {
+      if (!answersEl) return;
+      answersEl.innerHTML = mode.level(board).steps
+        .map(steps => `<button class="btn" data-answer="${steps}">${mode.intervalName(steps)}</button>`)
+        .join('');
+    }
+
+    function renderStats() {
+      if (!statsEl) return;
+      let html = '<tr><th>Interval</th><th>Correct</th><th>Asked</th><th>Avg. time</th></tr>';
+      for (let steps = 1; steps <= 12; steps += 1) {
+        const item = mode.stats.get(String(steps));
+        if (!item.asked) continue;
+        const accuracy = Math.round((item.correct / item.asked) * 100);
+        html += `<tr><td>${mode.intervalName(steps)}</td><td>${accuracy}%</td><td>${item.asked}</td>` +
+          `<td>${(item.time / item.asked).toFixed(1)}s</td></tr>`;
+      }
+      statsEl.innerHTML = html;
+    }
+
+    if (levelEl) {
+      levelEl.innerHTML = Object.keys(mode.LEVELS)
+        .map(id => `<option value="${id}">${mode.LEVELS[id].name}</option>`).join('');
+      levelEl.value = mode.LEVELS[board.options.level] ? board.options.level : 'easy';
+      levelEl.addEventListener('change', () => {
+        board.setOption('level', levelEl.value);
+        renderAnswers();
+      });
+    }
+    if (directionEl) {
+      directionEl.value = board.options.direction || 'mixed';
+      directionEl.addEventListener('change', () => board.setOption('direction', directionEl.value));
+    }
+    if (answersEl) {
+      answersEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-answer]');
+        if (!btn) return;
+        mode.answer(board, parseInt(btn.dataset.answer, 10));
+        board.render();
+      });
+    }
+    if (resetEl) {
+      resetEl.addEventListener('click', () => {
+        mode.stats.reset();
+        renderStats();
+      });
+    }
+
+    board.container.addEventListener('fretboard:quiz', (e) => {
+      const { question, result, streak, best } = e.detail;
+      if (statusEl) {
+        if (!question) {
+          statusEl.textContent = 'Press Next (or Enter) to hear two notes.';
+        } else if (!result) {
+          statusEl.textContent = `Which interval? (${question.direction}) Click the second note or pick a name.`;
+        } else {
+          const name = mode.intervalName(question.steps);
+          statusEl.textContent = result === 'correct' ? `Correct: ${name}.` : `Not quite: it was ${name}.`;
+        }
       }
+      if (streakEl) streakEl.textContent = `Streak: ${streak} (best ${best})`;
+      if (result) renderStats();
     });
-    boardEl.innerHTML = html;
+
+    renderAnswers();
+    renderStats();
+    board.render();
   }
 
-  renderFretNumbers(fretNumberEl);
-  renderFretMarkers(markerEl);
-  if (fretNumberBottomEl) renderFretNumbers(fretNumberBottomEl);
-  if (markerBottomEl) renderFretMarkers(markerBottomEl);
-  buildBoard();
+  // Note drill: question type, heatmap toggle, statistics reset and status
+  function bindNoteDrillControls(board, section) {
+    const mode = FretboardModes['note-drill'];
+    if (board.mode !== mode) return;
+    const typeEl = section.querySelector('[data-drill-type]');
+    const heatmapEl = section.querySelector('[data-drill-heatmap]');
+    const resetEl = section.querySelector('[data-drill-reset]');
+    const statusEl = section.querySelector('.drill-status');
+
+    if (typeEl) {
+      typeEl.value = board.options.drill || 'mixed';
+      typeEl.addEventListener('change', () => board.setOption('drill', typeEl.value));
+    }
+    if (heatmapEl) {
+      heatmapEl.checked = !!board.options.heatmap;
+      heatmapEl.addEventListener('change', () => board.setOption('heatmap', heatmapEl.checked));
+    }
+    if (resetEl) {
+      resetEl.addEventListener('click', () => {
+        mode.stats.reset();
+        board.render();
+      });
+    }
+
+    if (statusEl) {
+      board.container.addEventListener('fretboard:drill', (e) => {
+        const { question, found, mistakes, seconds } = e.detail;
+        if (!question) {
+          statusEl.textContent = 'Press Next (or Enter) for a note to find.';
+          return;
+        }
+        const note = Spelling.name(question.note);
+        const where = question.stringIndex === null
+          ? 'on any string'
+          : `on the ${Spelling.name(board.positionOf(board.findNote(question.stringIndex, 0)).open)} string`;
+        const ask = question.stringIndex === null ? `Find ${note} ${where}` : `Find every ${note} ${where}`;
+        if (seconds !== null) {
+          const result = mistakes ? `${mistakes} wrong ${mistakes === 1 ? 'try' : 'tries'}` : 'no mistakes';
+          statusEl.textContent = `${ask}: done in ${seconds.toFixed(1)}s, ${result}.`;
+        } else if (question.stringIndex !== null && question.targets.length > 1) {
+          statusEl.textContent = `${ask} (${found.length} of ${question.targets.length} found)`;
+        } else {
+          statusEl.textContent = `${ask}.`;
+        }
+      });
+    }
+    board.render();
+  }
+
+  // Chord quiz: a data-chord-quiz checkbox switches a chord board into the quiz, with
+  // quality checkboxes (data-quiz-qualities), playback style (data-quiz-playback), answer
+  // buttons (data-quiz-answers), .quiz-status and .quiz-score inside .chord-quiz-panel
+  function bindChordQuizControls(board, section) {
+    const toggleEl = section.querySelector('[data-chord-quiz]');
+    if (!toggleEl) return;
+    const mode = FretboardModes['chord-quiz'];
+    const panelEl = section.querySelector('.chord-quiz-panel');
+    const qualitiesEl = section.querySelector('[data-quiz-qualities]');
+    const playbackEl = section.querySelector('[data-quiz-playback]');
+    const answersEl = section.querySelector('[data-quiz-answers]');
+    const statusEl = section.querySelector('.quiz-status');
+    const scoreEl = section.querySelector('.quiz-score');
+    const qualityEl = section.querySelector('[data-quality-picker]');
+
+    function checkedQualities() {
+      return Array.from(qualitiesEl.querySelectorAll('input:checked')).map(input => input.value);
+    }
 
-  let activeRoot = null;
+    function renderAnswers() {
+      answersEl.innerHTML = mode.qualities(board)
+        .map(id => `<button class="btn" data-answer="${id}">${Theory.CHORDS[id].name}</button>`)
+        .join('');
+    }
+
+    qualitiesEl.innerHTML = Object.keys(Theory.CHORDS).map((id) => {
+      const checked = mode.DEFAULT_QUALITIES.includes(id) ? ' checked' : '';
+      return `<label class="check"><input type="checkbox" value="${id}"${checked} /> ${Theory.CHORDS[id].name}</label>`;
+    }).join('');
+    board.options.qualities = checkedQualities().join();
+
+    toggleEl.addEventListener('change', () => {
+      panelEl.hidden = !toggleEl.checked;
+      if (qualityEl) qualityEl.disabled = toggleEl.checked;
+      if (toggleEl.checked) {
+        board.setMode('chord-quiz');
+        section.querySelectorAll('.chord-title').forEach((t) => { t.textContent = 'Chord Quality Quiz'; });
+      } else {
+        board.setMode('chord');
+        // Restores the picked quality, its title and the voicing filters
+        if (qualityEl) qualityEl.dispatchEvent(new Event('change'));
+      }
+    });
+    qualitiesEl.addEventListener('change', () => {
+      board.options.qualities = checkedQualities().join();
+      renderAnswers();
+    });
+    playbackEl.addEventListener('change', () => { board.options.playback = playbackEl.value; });
+    answersEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-answer]');
+      if (!btn || board.mode !== mode) return;
+      mode.answer(board, btn.dataset.answer);
+      board.render();
+    });
 
-  function clearTriad() {
-    activeRoot = null;
-    const notes = boardEl.querySelectorAll('.note');
-    notes.forEach((btn) => {
-      btn.classList.remove('root');
-      btn.classList.remove('active-triad');
-      const intervalEl = btn.querySelector('.interval');
-      const letterEl = btn.querySelector('.letter');
-      const letter = btn.getAttribute('data-note');
-      if (intervalEl) intervalEl.textContent = '';
-      if (letterEl) letterEl.textContent = letter || '';
-      intervalEl && intervalEl.classList.add('ghost');
-      letterEl && letterEl.classList.remove('ghost');
+    board.container.addEventListener('fretboard:quiz', (e) => {
+      const { question, result, score } = e.detail;
+      if (!question) {
+        statusEl.textContent = 'Press Next (or Enter) to hear a chord.';
+      } else if (!result) {
+        statusEl.textContent = 'What quality is this chord?';
+      } else {
+        const chord = Theory.CHORDS[question.quality];
+        const root = Spelling.forChord(board.state.root.note, chord).root;
+        statusEl.textContent = `${result === 'correct' ? 'Correct' : 'Not quite'}: ${root}${chord.symbol} (${chord.name}).`;
+      }
+      scoreEl.textContent = `Score: ${score.correct} / ${score.asked}`;
     });
+
+    panelEl.hidden = !toggleEl.checked;
+    renderAnswers();
   }
 
-  function showMinorTriad(rootLetter, rootStringIndex, rootFret) {
-    const triadSet = new Set([0, 3, 7]); // R, m3, P5
+  // Tab player: data-tab-input text (ASCII tab or MusicXML) loaded by data-tab-load or picked
+  // with a data-tab-file input, data-tab-tempo (BPM), data-tab-play, data-tab-from /
+  // data-tab-to bars, data-tab-loop and .tab-status
+  function bindTabControls(board, section) {
+    const mode = FretboardModes.tab;
+    if (board.mode !== mode) return;
+    const inputEl = section.querySelector('[data-tab-input]');
+    const loadEl = section.querySelector('[data-tab-load]');
+    const fileEl = section.querySelector('[data-tab-file]');
+    const tempoEl = section.querySelector('[data-tab-tempo]');
+    const playEl = section.querySelector('[data-tab-play]');
+    const fromEl = section.querySelector('[data-tab-from]');
+    const toEl = section.querySelector('[data-tab-to]');
+    const loopEl = section.querySelector('[data-tab-loop]');
+    const statusEl = section.querySelector('.tab-status');
 
-    // Get specific triad positions for red outline
-    const triadPositions = GuitarAudio.getTriadNotes(rootStringIndex, rootFret, false);
-    const positionKeys = new Set(triadPositions.map(n => `${n.stringIndex}-${n.fret}`));
+    function load() {
+      mode.pause(board);
+      board.state.index = 0;
+      board.options.from = 1;
+      board.options.to = null;
+      board.options.tab = inputEl.value;
+      const song = mode.song(board);
+      // MusicXML brings its own tempo
+      if (song && song.tempo && tempoEl) {
+        tempoEl.value = Math.round(song.tempo);
+        board.options.tempo = tempoEl.value;
+      }
+      inputEl.classList.toggle('invalid', !song);
+      [fromEl, toEl].forEach((el) => {
+        if (!el) return;
+        el.max = song ? song.bars : 1;
+        el.value = el === fromEl ? 1 : (song ? song.bars : 1);
+      });
+      board.render();
+      board.changed();
+    }
 
-    const notes = boardEl.querySelectorAll('.note');
-    notes.forEach((btn) => {
-      const noteLetter = btn.getAttribute('data-note');
-      if (!noteLetter) return;
-      if (noteLetter.includes('#')) {
-        btn.classList.add('sharp');
+    if (inputEl) {
+      if (loadEl) loadEl.addEventListener('click', load);
+      if (fileEl) {
+        fileEl.addEventListener('change', () => {
+          const file = fileEl.files[0];
+          if (!file) return;
+          file.text().then((text) => {
+            inputEl.value = text;
+            load();
+          });
+        });
+      }
+      if (inputEl.value.trim()) load();
+    }
+    if (tempoEl) {
+      tempoEl.value = board.options.tempo || tempoEl.value || 90;
+      board.options.tempo = tempoEl.value;
+      tempoEl.addEventListener('change', () => { board.options.tempo = tempoEl.value; });
+    }
+    [[fromEl, 'from'], [toEl, 'to']].forEach(([el, name]) => {
+      if (el) el.addEventListener('change', () => board.setOption(name, el.value));
+    });
+    if (loopEl) loopEl.addEventListener('change', () => board.setOption('loop', String(loopEl.checked)));
+    if (playEl) {
+      playEl.addEventListener('click', () => {
+        mode.play(board);
+        board.render();
+      });
+    }
+
+    board.container.addEventListener('fretboard:tab', (e) => {
+      const { song, index, event, playing } = e.detail;
+      if (playEl) playEl.textContent = playing ? 'Pause' : 'Play';
+      if (!statusEl) return;
+      if (!song) {
+        statusEl.textContent = `Paste tab with one line per string (${board.stringCount} lines) or MusicXML, then Load.`;
+        return;
+      }
+      const names = Tuning.openNotes().reverse().map(n => Spelling.name(n));
+      let text = `${song.title ? `${song.title}: ` : ''}Bar ${event.bar} of ${song.bars}, event ${index + 1} of ${song.events.length}`;
+      const techniques = event.notes.filter(n => n.technique).map(n => `${n.technique} on ${names[n.stringIndex]}`);
+      const muted = event.muted.map(row => `muted ${names[row]}`);
+      if (techniques.length || muted.length) text += ` · ${techniques.concat(muted).join(', ')}`;
+      statusEl.textContent = text;
+    });
+    board.render();
+  }
+
+  // MIDI board: data-midi-connect asks for MIDI access, data-midi-source picks the input
+  // (all, one port, or the virtual keyboard), data-midi-sound plays incoming notes;
+  // .midi-chord names the held chord and .midi-status reports the connection
+  function bindMidiControls(board, section) {
+    if (board.mode !== FretboardModes.midi) return;
+    const connectEl = section.querySelector('[data-midi-connect]');
+    const sourceEl = section.querySelector('[data-midi-source]');
+    const soundEl = section.querySelector('[data-midi-sound]');
+    const chordEl = section.querySelector('.midi-chord');
+    const statusEl = section.querySelector('.midi-status');
+    let previous = [];
+
+    function renderSources(inputs) {
+      if (!sourceEl) return;
+      const current = sourceEl.value;
+      sourceEl.innerHTML = `<option value="all">All MIDI inputs</option>` +
+        inputs.map(input => `<option value="${escapeHtml(input.id)}">${escapeHtml(input.name)}</option>`).join('') +
+        `<option value="virtual">Virtual keyboard (A-K keys)</option>`;
+      // Port ids are device strings, so compare values rather than build a selector
+      sourceEl.value = Array.from(sourceEl.options).some(o => o.value === current) ? current : 'all';
+    }
+
+    if (connectEl) {
+      connectEl.addEventListener('click', () => {
+        MidiInput.connect().then((inputs) => {
+          renderSources(inputs);
+          if (statusEl) statusEl.textContent = inputs.length ? `${inputs.length} MIDI input${inputs.length === 1 ? '' : 's'} found.` : 'No MIDI inputs found.';
+        }).catch((err) => {
+          if (statusEl) statusEl.textContent = `${err.message || 'MIDI access was refused.'} The virtual keyboard still works.`;
+        });
+      });
+    }
+    if (sourceEl) {
+      renderSources([]);
+      sourceEl.addEventListener('change', () => {
+        MidiInput.setSource(sourceEl.value === 'virtual' ? 'none' : sourceEl.value);
+      });
+      MidiInput.onPortsChange(renderSources);
+    }
+
+    // Virtual keyboard: a row of computer keys is a piano octave from middle C; Z/X shift octaves
+    const VIRTUAL_KEYS = 'awsedftgyhujk';
+    let octave = 60;
+    const isTyping = e => /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName);
+    window.addEventListener('keydown', (e) => {
+      if (!sourceEl || sourceEl.value !== 'virtual' || isTyping(e) || e.repeat || e.ctrlKey || e.metaKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'x') {
+        octave = Math.max(24, Math.min(96, octave + (key === 'z' ? -12 : 12)));
+      } else if (VIRTUAL_KEYS.includes(key)) {
+        MidiInput.receive([0x90, octave + VIRTUAL_KEYS.indexOf(key), 100]);
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      const key = e.key.toLowerCase();
+      if (!sourceEl || sourceEl.value !== 'virtual' || !VIRTUAL_KEYS.includes(key)) return;
+      MidiInput.receive([0x80, octave + VIRTUAL_KEYS.indexOf(key), 0]);
+    });
+
+    MidiInput.onChange((notes) => {
+      // Sound new notes at their lowest position on the neck
+      if (soundEl && soundEl.checked) {
+        notes.filter(n => !previous.includes(n)).forEach((midi) => {
+          const pos = FretPositions.of(midi).sort((a, b) => a.fret - b.fret)[0];
+          if (!pos) return;
+          const btn = board.findNote(pos.stringIndex, pos.fret);
+          if (btn) GuitarAudio.playNote(btn.getAttribute('data-open'), pos.fret, pos.stringIndex);
+        });
+      }
+      previous = notes;
+      board.render();
+    });
+
+    if (chordEl) {
+      board.container.addEventListener('fretboard:midi', (e) => {
+        const { notes, chords } = e.detail;
+        if (chords.length) {
+          const others = chords.slice(1, 4).map(c => c.name);
+          chordEl.textContent = chords[0].name + (others.length ? ` (also ${others.join(', ')})` : '');
+        } else {
+          chordEl.textContent = notes.length ? notes.map(n => Spelling.name(Tuning.noteName(n))).join(' ') : '—';
+        }
+      });
+    }
+    board.render();
+  }
+
+  // Chord builder: data-builder-strum strums, data-builder-strings holds a mute/open toggle per
+  // string, .builder-status names the chord
+  function bindBuilderControls(board, section) {
+    const mode = FretboardModes.builder;
+    if (board.mode !== mode) return;
+    const strumEl = section.querySelector('[data-builder-strum]');
+    const stringsEl = section.querySelector('[data-builder-strings]');
+    const statusEl = section.querySelector('.builder-status');
+
+    if (strumEl) strumEl.addEventListener('click', () => mode.play(board));
+    if (stringsEl) {
+      stringsEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-row]');
+        if (!btn) return;
+        mode.toggleString(board, parseInt(btn.dataset.row, 10));
+        board.render();
+        board.changed();
+      });
+    }
+
+    board.container.addEventListener('fretboard:builder', (e) => {
+      const { positions, chords } = e.detail;
+      // Toggles from the lowest string, showing "x" (muted) or the fret
+      if (stringsEl) {
+        const names = Tuning.openNotes().reverse().map(n => Spelling.name(n));
+        stringsEl.innerHTML = board.state.frets.map((fret, row) => ({ fret: fret, row: row })).reverse().map(({ fret, row }) => {
+          const label = fret === null ? 'x' : fret;
+          return `<button class="btn-scale${fret === null ? '' : ' active'}" data-row="${row}" title="Mute or open this string">${names[row]} ${label}</button>`;
+        }).join('');
+      }
+      if (!statusEl) return;
+      if (chords.length) {
+        statusEl.textContent = chords.slice(0, 4).map(c => c.name).join(' / ');
+      } else if (positions.length) {
+        statusEl.textContent = `No chord name for ${positions.map(pos => Spelling.name(pos.note)).join(' ')}`;
       } else {
-        btn.classList.remove('sharp');
-      }
-      const intervalSteps = (NOTE_ORDER.indexOf(noteLetter) - NOTE_ORDER.indexOf(rootLetter) + 12) % 12;
-      const intervalEl = btn.querySelector('.interval');
-      const letterEl = btn.querySelector('.letter');
-
-      const btnStringIndex = btn.getAttribute('data-string-index');
-      const btnFret = btn.getAttribute('data-fret');
-      const posKey = `${btnStringIndex}-${btnFret}`;
-
-      if (triadSet.has(intervalSteps)) {
-        const label = intervalSteps === 0 ? 'R' : intervalSteps === 3 ? 'b3' : '5';
-        if (intervalEl) intervalEl.textContent = label;
-        if (letterEl) letterEl.textContent = noteLetter || '';
-        intervalEl && intervalEl.classList.remove('ghost');
-        letterEl && letterEl.classList.remove('ghost');
-        btn.classList.toggle('root', label === 'R');
-
-        // Only apply active-triad (red outline) to the specific 3 notes being played
-        if (positionKeys.has(posKey)) {
-          btn.classList.add('active-triad');
+        statusEl.textContent = 'Click notes to build a chord.';
+      }
+    });
+    board.render();
+  }
+
+  // Progression board: data-progression-input holds the progression, data-progression-palette
+  // gets a button per diatonic chord of the key (major or minor by data-progression-tonality)
+  // that adds it; data-progression-tempo, data-progression-meter, data-progression-play,
+  // data-progression-loop and .progression-status
+  function bindProgressionControls(board, section) {
+    const mode = FretboardModes.progression;
+    if (board.mode !== mode) return;
+    const inputEl = section.querySelector('[data-progression-input]');
+    const tonalityEl = section.querySelector('[data-progression-tonality]');
+    const paletteEl = section.querySelector('[data-progression-palette]');
+    const tempoEl = section.querySelector('[data-progression-tempo]');
+    const meterEl = section.querySelector('[data-progression-meter]');
+    const playEl = section.querySelector('[data-progression-play]');
+    const loopEl = section.querySelector('[data-progression-loop]');
+    const statusEl = section.querySelector('.progression-status');
+    let paletteKey = null;
+
+    function apply() {
+      board.options.progression = inputEl.value;
+      const count = mode.progression(board).chords.length;
+      if (!count) mode.pause(board);
+      board.state.index = Math.min(board.state.index, Math.max(0, count - 1));
+      board.render();
+      board.changed();
+    }
+
+    function renderPalette() {
+      const tonic = mode.tonic(board);
+      const tonality = tonalityEl ? tonalityEl.value : 'major';
+      const key = `${tonic}:${tonality}:${Spelling.getPreference()}`;
+      if (!paletteEl || key === paletteKey) return;
+      paletteKey = key;
+      paletteEl.innerHTML = Progressions.diatonic(tonic, tonality).map(chord =>
+        `<button class="btn-scale" data-numeral="${escapeHtml(chord.numeral)}" title="Add ${escapeHtml(chord.name)}">${escapeHtml(chord.numeral)} <small>${escapeHtml(chord.name)}</small></button>`
+      ).join('');
+    }
+
+    if (inputEl) {
+      inputEl.value = board.options.progression || inputEl.value;
+      inputEl.addEventListener('change', apply);
+      inputEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') apply();
+      });
+      board.options.progression = inputEl.value;
+      if (paletteEl) {
+        paletteEl.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-numeral]');
+          if (!btn) return;
+          inputEl.value = `${inputEl.value.trim()}${inputEl.value.trim() ? ' – ' : ''}${btn.dataset.numeral}`;
+          apply();
+        });
+      }
+    }
+    if (tonalityEl) tonalityEl.addEventListener('change', renderPalette);
+    if (tempoEl) {
+      tempoEl.value = board.options.tempo || tempoEl.value || 90;
+      board.options.tempo = tempoEl.value;
+      tempoEl.addEventListener('change', () => { board.options.tempo = tempoEl.value; });
+    }
+    if (meterEl) {
+      meterEl.value = board.options.meter || meterEl.value;
+      board.options.meter = meterEl.value;
+      meterEl.addEventListener('change', () => { board.options.meter = meterEl.value; });
+    }
+    if (loopEl) {
+      loopEl.checked = board.options.loop !== 'false';
+      loopEl.addEventListener('change', () => board.setOption('loop', String(loopEl.checked)));
+    }
+    if (playEl) {
+      playEl.addEventListener('click', () => {
+        mode.play(board);
+        board.render();
+      });
+    }
+
+    board.container.addEventListener('fretboard:progression', (e) => {
+      const { chords, index, beat, playing, invalid } = e.detail;
+      renderPalette();
+      if (playEl) playEl.textContent = playing ? 'Pause' : 'Play';
+      if (inputEl) inputEl.classList.toggle('invalid', invalid.length > 0);
+      if (!statusEl) return;
+      if (!chords.length) {
+        statusEl.textContent = 'Enter Roman numerals (I vi IV V) or chord symbols (Am F C G).';
+        return;
+      }
+      const chord = chords[index];
+      let text = chords.map((c, i) => (i === index ? `[${c.name}]` : c.name)).join(' ');
+      if (playing) text += ` · beat ${beat + 1} of ${mode.meter(board).beats}`;
+      if (chord && !chord.voicing) text += ` · no voicing for ${chord.name}`;
+      if (invalid.length) text += ` · can't read ${invalid.join(', ')}`;
+      statusEl.textContent = text;
+    });
+    board.render();
+  }
+
+  // Scale/arpeggio sequences on the intervals board: data-sequence-arpeggio ("" for the scale,
+  // else a chord quality), data-sequence-pattern, data-sequence-tempo, data-sequence-loop,
+  // data-sequence-play, .sequence-status and the sequence as tab in data-sequence-tab
+  function bindSequenceControls(board, section) {
+    const mode = FretboardModes.intervals;
+    if (board.mode !== mode) return;
+    const arpeggioEl = section.querySelector('[data-sequence-arpeggio]');
+    const patternEl = section.querySelector('[data-sequence-pattern]');
+    const rateEl = section.querySelector('[data-sequence-rate]');
+    const loopEl = section.querySelector('[data-sequence-loop]');
+    const playEl = section.querySelector('[data-sequence-play]');
+    const statusEl = section.querySelector('.sequence-status');
+    const tabEl = section.querySelector('[data-sequence-tab]');
+    let tabKey = null;
+
+    if (arpeggioEl) {
+      arpeggioEl.innerHTML = `<option value="">Scale</option>` + Object.keys(Theory.CHORDS)
+        .map(id => `<option value="${id}">${Theory.CHORDS[id].name} arpeggio</option>`)
+        .join('');
+      arpeggioEl.value = Theory.CHORDS[board.options.arpeggio] ? board.options.arpeggio : '';
+      arpeggioEl.addEventListener('change', () => board.setOption('arpeggio', arpeggioEl.value || null));
+    }
+    if (patternEl) {
+      patternEl.innerHTML = Sequences.PATTERNS.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+      patternEl.value = Sequences.PATTERNS.some(p => p.id === board.options.pattern) ? board.options.pattern : 'ascending';
+      board.options.pattern = patternEl.value;
+      patternEl.addEventListener('change', () => board.setOption('pattern', patternEl.value));
+    }
+    // Notes to the beat; the tempo is the metronome's
+    if (rateEl) {
+      rateEl.innerHTML = Metronome.SUBDIVISIONS.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+      rateEl.value = board.options.rate || 2;
+      board.options.rate = rateEl.value;
+      rateEl.addEventListener('change', () => { board.options.rate = rateEl.value; });
+    }
+    if (loopEl) loopEl.addEventListener('change', () => board.setOption('loop', String(loopEl.checked)));
+    if (playEl) {
+      playEl.addEventListener('click', () => {
+        mode.play(board);
+        board.render();
+      });
+    }
+
+    board.container.addEventListener('fretboard:intervals', (e) => {
+      const { sequence, cursor, playing } = e.detail;
+      if (playEl) {
+        playEl.textContent = playing ? 'Stop' : 'Play';
+        playEl.disabled = !sequence.length && !playing;
+      }
+      if (statusEl) {
+        if (!sequence.length) {
+          statusEl.textContent = board.options.arpeggio ? 'Pick a key or click a root to play its arpeggio.' : 'Pick a key and a scale to play it.';
         } else {
-          btn.classList.remove('active-triad');
+          statusEl.textContent = playing ? `Note ${cursor + 1} of ${sequence.length}` : `${sequence.length} notes`;
         }
-        btn.classList.remove('ghost'); // Show note
+      }
+      // Tab only changes with the sequence, not with the cursor
+      const names = Tuning.openNotes().reverse().map(n => Spelling.name(n));
+      const key = `${names.join()}:${sequence.map(n => `${n.stringIndex}.${n.fret}`).join()}`;
+      if (!tabEl || key === tabKey) return;
+      tabKey = key;
+      tabEl.value = sequence.length ? Tablature.format(sequence.map(n => ({ notes: [n] })), names) : '';
+    });
+    board.render();
+  }
+
+  // Boards listening to the microphone; it stays on while any of them are
+  const micUsers = new Set();
+  function useMicrophone(user, on) {
+    if (on) {
+      micUsers.add(user);
+      return PitchInput.start().catch((err) => {
+        micUsers.delete(user);
+        throw err;
+      });
+    }
+    micUsers.delete(user);
+    if (!micUsers.size) PitchInput.stop();
+    return Promise.resolve();
+  }
+
+  // Microphone input: a data-pitch-listen checkbox turns it on for the board. Each new note
+  // heard goes to the mode's hear() and its positions get a ring (.heard); .pitch-status
+  // says what was heard. A .tuner-display shows the tuner reading (see bindTunerDisplay).
+  function bindPitchControls(board, section) {
+    const listenEl = section.querySelector('[data-pitch-listen]');
+    if (!listenEl) return;
+    const statusEl = section.querySelector('.pitch-status');
+    let heard = null;
+
+    const setStatus = (text) => {
+      if (statusEl) statusEl.textContent = text;
+    };
+    listenEl.addEventListener('change', () => {
+      setStatus(listenEl.checked ? 'Starting the microphone…' : '');
+      if (!listenEl.checked) {
+        heard = null;
+        board.notes().forEach(btn => btn.classList.remove('heard'));
+      }
+      useMicrophone(board, listenEl.checked)
+        .then(() => setStatus(listenEl.checked ? 'Listening…' : ''))
+        .catch((err) => {
+          listenEl.checked = false;
+          setStatus(err.message || 'The microphone could not be opened.');
+        });
+    });
+
+    PitchInput.onChange((reading, note) => {
+      if (!listenEl.checked) return;
+      board.notes().forEach((btn) => {
+        btn.classList.toggle('heard', note !== null && board.positionOf(btn).midi === note);
+      });
+      if (note !== null) {
+        setStatus(`Heard ${Spelling.name(Tuning.noteName(note))}${Math.floor(note / 12) - 1}`);
       } else {
-        btn.classList.remove('active-triad');
-        if (intervalEl) intervalEl.textContent = '';
-        if (letterEl) letterEl.textContent = noteLetter || '';
-        intervalEl && intervalEl.classList.add('ghost');
-        letterEl && letterEl.classList.add('ghost');
-        btn.classList.remove('root');
-        btn.classList.add('ghost'); // Hide entire note
+        setStatus(Drone.playing() ? 'Listening… (notes matching the drone are ignored)' : 'Listening…');
+      }
+      // The tuner follows every frame; other boards only each new note
+      if (note === heard && board.mode !== FretboardModes.tuner) return;
+      if (note !== heard) {
+        heard = note;
+        if (note !== null && board.mode.hear) board.mode.hear(board, note);
       }
+      board.render();
     });
+    bindTunerDisplay(section);
   }
 
-  boardEl.addEventListener('click', (e) => {
-    const btn = e.target.closest && e.target.closest('.note');
-    if (!btn) return;
-    const note = btn.getAttribute('data-note');
-    if (!note) return;
+  // Tuner readout: .tuner-note (note and octave), .tuner-needle (moved by --cents, -50..50)
+  // and .tuner-detail (frequency and the nearest open string)
+  function bindTunerDisplay(section) {
+    const displayEl = section.querySelector('.tuner-display');
+    if (!displayEl) return;
+    const noteEl = displayEl.querySelector('.tuner-note');
+    const needleEl = displayEl.querySelector('.tuner-needle');
+    const detailEl = displayEl.querySelector('.tuner-detail');
 
-    if (activeRoot === note) {
-      clearTriad();
-    } else {
-      activeRoot = note;
-      // Play the minor triad (Root, minor 3rd, Perfect 5th) at the clicked pitch
-      const openString = btn.getAttribute('data-open');
-      const fret = parseInt(btn.getAttribute('data-fret'), 10);
-      const stringIndex = parseInt(btn.getAttribute('data-string-index'), 10);
+    PitchInput.onChange((reading) => {
+      displayEl.classList.toggle('in-tune', !!reading && Math.abs(reading.cents) < 5);
+      if (needleEl) needleEl.style.setProperty('--cents', reading ? String(Math.round(reading.cents)) : '0');
+      if (!reading) {
+        noteEl.textContent = '—';
+        if (detailEl) detailEl.textContent = PitchInput.listening() ? 'Play a single note' : '';
+        return;
+      }
+      const cents = Math.round(reading.cents);
+      noteEl.textContent = `${Spelling.name(Tuning.noteName(reading.midi))}${Math.floor(reading.midi / 12) - 1} ${cents > 0 ? '+' : ''}${cents}¢`;
+      if (!detailEl) return;
+      const nearest = PitchDetector.nearestString(reading.frequency, Tuning.get().strings);
+      const offset = Math.round(nearest.cents);
+      detailEl.textContent = `${reading.frequency.toFixed(1)} Hz · ${Spelling.name(Tuning.noteName(nearest.midi))} string ` +
+        `(${Tuning.get().strings.length - nearest.index}) ${offset > 0 ? '+' : ''}${offset} cents`;
+    });
+  }
+
+  // Metronome (data-metronome-tempo, -beats, -subdivision, -accent, -tap, -toggle, with a light
+  // per beat in .metronome-beats) and the drone (data-drone: "off", "root" or "fifth"), which
+  // follows the board's key, or its clicked note when there is no key
+  function bindPracticeControls(board, section) {
+    const tempoEl = section.querySelector('[data-metronome-tempo]');
+    const beatsEl = section.querySelector('[data-metronome-beats]');
+    const subdivisionEl = section.querySelector('[data-metronome-subdivision]');
+    const accentEl = section.querySelector('[data-metronome-accent]');
+    const tapEl = section.querySelector('[data-metronome-tap]');
+    const toggleEl = section.querySelector('[data-metronome-toggle]');
+    const lightsEl = section.querySelector('.metronome-beats');
+    const droneEl = section.querySelector('[data-drone]');
+    const droneStatusEl = section.querySelector('.drone-status');
+
+    if (toggleEl) {
+      const settings = Metronome.get();
+      if (subdivisionEl) {
+        subdivisionEl.innerHTML = Metronome.SUBDIVISIONS.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+        subdivisionEl.value = settings.subdivision;
+      }
+      if (tempoEl) tempoEl.value = settings.tempo;
+      if (beatsEl) beatsEl.value = settings.beats;
+      if (accentEl) accentEl.checked = settings.accent;
+
+      const renderLights = (current) => {
+        if (!lightsEl) return;
+        lightsEl.innerHTML = Array.from({ length: Metronome.get().beats }, (_, i) =>
+          `<span class="beat-light${i === 0 && Metronome.get().accent ? ' accent' : ''}${i === current ? ' on' : ''}"></span>`
+        ).join('');
+      };
+      const update = () => {
+        Metronome.set({
+          tempo: tempoEl ? tempoEl.value : undefined,
+          beats: beatsEl ? beatsEl.value : undefined,
+          subdivision: subdivisionEl ? subdivisionEl.value : undefined,
+          accent: accentEl ? accentEl.checked : undefined
+        });
+        if (tempoEl) tempoEl.value = Metronome.get().tempo;
+        renderLights(-1);
+      };
+      [tempoEl, beatsEl, subdivisionEl, accentEl].forEach((el) => {
+        if (el) el.addEventListener('change', update);
+      });
+      if (tapEl) {
+        tapEl.addEventListener('click', () => {
+          const tempo = Metronome.tap();
+          if (tempo && tempoEl) tempoEl.value = tempo;
+        });
+      }
+      toggleEl.addEventListener('click', () => {
+        if (Metronome.running()) {
+          Metronome.stop();
+          renderLights(-1);
+        } else {
+          Metronome.start();
+        }
+        toggleEl.textContent = Metronome.running() ? 'Stop' : 'Start';
+      });
+      Metronome.onTick((tick) => {
+        if (tick.sub === 0) renderLights(tick.beat);
+      });
+      renderLights(-1);
+    }
+
+    if (droneEl) {
+      const updateDrone = () => {
+        const note = board.mode.key ? board.mode.key(board) || board.state.root : null;
+        if (droneEl.value === 'off' || !note) {
+          Drone.stop();
+          if (droneStatusEl) droneStatusEl.textContent = droneEl.value === 'off' ? '' : 'Pick a key or click a note for the drone.';
+          return;
+        }
+        Drone.play(note, droneEl.value === 'fifth');
+        if (droneStatusEl) {
+          const name = Spelling.forKey(note).tonic;
+          droneStatusEl.textContent = droneEl.value === 'fifth' ? `Drone on ${name} and ${Spelling.forKey(note).name(Theory.noteUp(note, 7))}` : `Drone on ${name}`;
+        }
+      };
+      droneEl.addEventListener('change', updateDrone);
+      board.container.addEventListener('fretboard:intervals', () => {
+        if (droneEl.value !== 'off') updateDrone();
+      });
+    }
+  }
+
+  // Diagram export: data-export="svg" | "png" | "sheet" buttons. data-export-range is "fit"
+  // (frets around the selection), "neck", or "box" for the chord/scale box. Titles come
+  // from the mode's describe(), else the section heading.
+  function bindExportControls(board, section) {
+    const buttons = section.querySelectorAll('[data-export]');
+    if (!buttons.length) return;
+    const rangeEl = section.querySelector('[data-export-range]');
+    const headingEl = section.querySelector('h2');
+    const tuningEl = section.querySelector('.tuning-name');
+
+    function diagram() {
+      const snapshot = board.snapshot();
+      const title = snapshot.title || (headingEl ? headingEl.textContent.replace(/\s*\(.*\)\s*$/, '') : '');
+      const options = { title: title, subtitle: tuningEl ? tuningEl.textContent : '' };
+      const range = rangeEl ? rangeEl.value : 'fit';
+      const shape = range === 'box' ? board.shape() : null;
+      if (shape) return { title: title, svg: DiagramExport.boxSvg(shape, options) };
+      if (range === 'neck') Object.assign(options, { from: 0, to: snapshot.fretCount });
+      return { title: title, svg: DiagramExport.neckSvg(snapshot, options) };
+    }
+
+    buttons.forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const { title, svg } = diagram();
+        const kind = btn.dataset.export;
+        if (kind === 'svg') {
+          DiagramExport.download(svg, DiagramExport.fileName(title, 'svg'));
+        } else if (kind === 'png') {
+          DiagramExport.toPng(svg)
+            .then(blob => DiagramExport.download(blob, DiagramExport.fileName(title, 'png')))
+            // No canvas support: the SVG is the next best thing
+            .catch(() => DiagramExport.download(svg, DiagramExport.fileName(title, 'svg')));
+        } else if (kind === 'sheet') {
+          PrintSheet.add({ title: title, svg: svg, wide: DiagramExport.size(svg).width > 560 });
+        }
+      });
+    });
+  }
 
-      showMinorTriad(note, stringIndex, fret);
+  // Live chord/scale box ([data-shape-box]) next to the board
+  function bindShapeBox(board, section) {
+    const boxEl = section.querySelector('[data-shape-box]');
+    if (!boxEl) return;
+    const update = () => {
+      const shape = board.shape();
+      boxEl.hidden = !shape;
+      boxEl.innerHTML = shape ? DiagramExport.boxSvg(shape) : '';
+    };
+    board.container.addEventListener('fretboard:voicing', update);
+    board.container.addEventListener('fretboard:intervals', update);
+    board.container.addEventListener('fretboard:builder', update);
+    board.container.addEventListener('fretboard:progression', update);
+    update();
+  }
+
+  const boards = [];
+  document.querySelectorAll('[data-fretboard]').forEach((el) => {
+    const board = createFretboard(el, Object.assign({}, el.dataset));
+    const section = el.closest('.app') || document;
+    boards.push({ board: board, section: section });
+    bindKeyPicker(board, section);
+    bindScaleControls(board, section);
+    bindChordControls(board, section);
+    bindQuizButtons(board, section);
+    bindIntervalQuizControls(board, section);
+    bindNoteDrillControls(board, section);
+    bindChordQuizControls(board, section);
+    bindExportControls(board, section);
+    bindShapeBox(board, section);
+    bindTabControls(board, section);
+    bindMidiControls(board, section);
+    bindBuilderControls(board, section);
+    bindProgressionControls(board, section);
+    bindSequenceControls(board, section);
+    bindPracticeControls(board, section);
+    bindPitchControls(board, section);
+  });
+  UrlState.start(boards);
+})();
+
+// Instrument and tuning selectors (shared by all boards)
+(function () {
+  if (typeof document === 'undefined') return;
+  const instrumentEl = document.getElementById('instrument-select');
+  const selectEl = document.getElementById('tuning-select');
+  const customEl = document.getElementById('tuning-custom');
+  const applyEl = document.getElementById('tuning-apply');
+  if (!selectEl) return;
+
+  if (instrumentEl) {
+    instrumentEl.innerHTML = Tuning.INSTRUMENTS
+      .map(inst => `<option value="${inst.id}">${inst.name}</option>`)
+      .join('');
+    instrumentEl.addEventListener('change', () => {
+      Tuning.setInstrument(instrumentEl.value);
+    });
+  }
+
+  // Preset list depends on the instrument
+  function renderPresets() {
+    let html = '';
+    Tuning.getInstrument().tunings.forEach((preset) => {
+      html += `<option value="${preset.id}">${preset.name} (${preset.notes.map(n => n.replace(/\d/, '')).join(' ')})</option>`;
+    });
+    html += `<option value="custom">Custom…</option>`;
+    selectEl.innerHTML = html;
+  }
+
+  function updateHeadings(tuning) {
+    document.querySelectorAll('.tuning-name').forEach((el) => {
+      el.textContent = `${Tuning.getInstrument().name}, ${tuning.name} Tuning`;
+    });
+  }
+  function applyCustom() {
+    const tuning = Tuning.parse(customEl.value);
+    customEl.classList.toggle('invalid', !tuning);
+    if (!tuning) return;
+    Tuning.set(tuning);
+  }
 
-      const rootFreq = GuitarAudio.getFrequency(openString, fret, stringIndex);
-      GuitarAudio.playTriad(rootFreq, [0, 3, 7]);
+  selectEl.addEventListener('change', () => {
+    if (selectEl.value === 'custom') {
+      customEl.focus();
+      return;
     }
+    customEl.classList.remove('invalid');
+    Tuning.set(Tuning.fromPreset(selectEl.value));
+  });
+
+  applyEl.addEventListener('click', applyCustom);
+  customEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyCustom();
+  });
+
+  Tuning.onChange((tuning) => {
+    if (instrumentEl) instrumentEl.value = Tuning.getInstrument().id;
+    renderPresets();
+    selectEl.value = tuning.id;
+    customEl.value = tuning.strings.map(Tuning.noteName).join(' ');
+    updateHeadings(tuning);
+  });
+
+  if (instrumentEl) instrumentEl.value = Tuning.getInstrument().id;
+  renderPresets();
+  selectEl.value = Tuning.get().id;
+  customEl.value = Tuning.openNotes().join(' ');
+  updateHeadings(Tuning.get());
+})();
+
+// Note spelling preference (shared by all boards)
+(function () {
+  if (typeof document === 'undefined') return;
+  const selectEl = document.getElementById('spelling-select');
+  if (!selectEl) return;
+
+  selectEl.innerHTML = Spelling.PREFERENCES
+    .map(p => `<option value="${p.id}">${p.name}</option>`)
+    .join('');
+  selectEl.value = Spelling.getPreference();
+  selectEl.addEventListener('change', () => {
+    Spelling.setPreference(selectEl.value);
+  });
+  Spelling.onChange((id) => {
+    selectEl.value = id;
+  });
+})();
+
+// Copy link button: the URL hash already holds the current view
+(function () {
+  if (typeof document === 'undefined') return;
+  const buttonEl = document.getElementById('copy-link');
+  if (!buttonEl) return;
+  const label = buttonEl.textContent;
+
+  buttonEl.addEventListener('click', () => {
+    const url = location.href;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(() => {
+      buttonEl.textContent = 'Copied!';
+      setTimeout(() => { buttonEl.textContent = label; }, 1500);
+    }).catch(() => {
+      window.prompt('Copy this link:', url);
+    });
+  });
+})();
+
+// Print sheet: diagrams added from the boards, tiled with their titles when printed
+(function () {
+  if (typeof document === 'undefined') return;
+  const sheetEl = document.getElementById('print-sheet');
+  if (!sheetEl) return;
+  const gridEl = sheetEl.querySelector('.sheet-grid');
+
+  function render(items) {
+    sheetEl.hidden = !items.length;
+    gridEl.innerHTML = items.map((item, i) => `
+      <figure class="sheet-item${item.wide ? ' wide' : ''}">
+        ${item.svg}
+        <button class="btn no-print" data-sheet-remove="${i}">Remove</button>
+      </figure>`).join('');
+  }
+
+  gridEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-sheet-remove]');
+    if (btn) PrintSheet.remove(parseInt(btn.dataset.sheetRemove, 10));
   });
+  sheetEl.querySelector('[data-sheet-print]').addEventListener('click', () => window.print());
+  sheetEl.querySelector('[data-sheet-clear]').addEventListener('click', () => PrintSheet.clear());
+
+  PrintSheet.onChange(render);
+  render(PrintSheet.all());
+})();
 
-  window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') clearTriad();
+// Sound (timbre) selector
+(function () {
+  if (typeof document === 'undefined') return;
+  const selectEl = document.getElementById('timbre-select');
+  if (!selectEl) return;
+
+  selectEl.innerHTML = Object.keys(GuitarAudio.TIMBRES)
+    .map(id => `<option value="${id}">${GuitarAudio.TIMBRES[id].name}</option>`)
+    .join('');
+  selectEl.value = GuitarAudio.getTimbre();
+  selectEl.addEventListener('change', () => {
+    GuitarAudio.setTimbre(selectEl.value);
   });
+})();
 
-  clearTriad();
-})();
\ No newline at end of file
+// Node gets the modules that need no page, e.g. for the PitchDetector checks against WAV
+// fixtures in test/ (node --test test/)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Theory: Theory,
+    Spelling: Spelling,
+    Tuning: Tuning,
+    Voicings: Voicings,
+    ChordFinder: ChordFinder,
+    Progressions: Progressions,
+    Tablature: Tablature,
+    MusicXml: MusicXml,
+    FretPositions: FretPositions,
+    Sequences: Sequences,
+    PitchDetector: PitchDetector,
+    PitchInput: PitchInput
+  };
+}
@@ -0,0 +1,224 @@
+// PitchDetector against WAV fixtures: node --test test/
+// Recorded guitar notes in fixtures/ (see fixtures/README.md) are read frame by frame as the
+// microphone input would; tones built here as WAV bytes cover the other formats parseWav reads.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PitchDetector, PitchInput } = require('../script.js');
+
+const SAMPLE_RATE = 44100;
+const FRAME = 4096; // the microphone analyser's frame
+const STANDARD = [40, 45, 50, 55, 59, 64];
+
+function readFixture(name) {
+  const parsed = PitchDetector.parseWav(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+  assert.ok(parsed, `parseWav reads ${name}`);
+  return parsed;
+}
+
+// Readings of every frame, half a frame apart
+function readings(parsed) {
+  const result = [];
+  for (let start = 0; start + FRAME <= parsed.samples.length; start += FRAME / 2) {
+    result.push(PitchDetector.detect(parsed.samples.subarray(start, start + FRAME), parsed.sampleRate));
+  }
+  return result;
+}
+
+const RECORDINGS = [
+  { file: 'e2-open.wav', midi: 40, string: 0 },
+  { file: 'a2-open.wav', midi: 45, string: 1 },
+  { file: 'd3-open.wav', midi: 50, string: 2 },
+  { file: 'g3-open.wav', midi: 55, string: 3 },
+  { file: 'b3-open.wav', midi: 59, string: 4 },
+  { file: 'e4-open.wav', midi: 64, string: 5 },
+  { file: 'fs3-fretted.wav', midi: 54 },
+  { file: 'c4-fretted.wav', midi: 60 }
+];
+
+RECORDINGS.forEach((recording) => {
+  test(`hears ${recording.file} as MIDI ${recording.midi}, in tune`, () => {
+    const parsed = readFixture(recording.file);
+    const frames = readings(parsed);
+    assert.ok(frames.length >= 4);
+    frames.forEach((reading, i) => {
+      assert.ok(reading, `frame ${i} has a pitch`);
+      assert.strictEqual(reading.midi, recording.midi, `frame ${i}`);
+      assert.ok(Math.abs(reading.cents) < 10, `frame ${i}: ${reading.cents.toFixed(1)} cents`);
+      if (recording.string !== undefined) {
+        const nearest = PitchDetector.nearestString(reading.frequency, STANDARD);
+        assert.strictEqual(nearest.index, recording.string, `frame ${i} nearest string`);
+      }
+    });
+  });
+});
+
+test('follows vibrato without leaving the note', () => {
+  const frames = readings(readFixture('c4-vibrato.wav'));
+  frames.forEach((reading, i) => {
+    assert.ok(reading, `frame ${i} has a pitch`);
+    assert.strictEqual(reading.midi, 60, `frame ${i}`);
+    assert.ok(Math.abs(reading.cents) < 35, `frame ${i}: ${reading.cents.toFixed(1)} cents`);
+  });
+  const cents = frames.map(r => r.cents);
+  assert.ok(Math.max(...cents) - Math.min(...cents) > 20, 'the wobble shows in the cents');
+});
+
+test('counts a recorded note as played once it holds', () => {
+  const parsed = readFixture('c4-vibrato.wav');
+  const notes = [];
+  const stop = PitchInput.onChange((reading, note) => notes.push(note));
+  for (let start = 0; start + FRAME <= parsed.samples.length; start += FRAME / 2) {
+    PitchInput.receive(parsed.samples.subarray(start, start + FRAME), parsed.sampleRate);
+  }
+  stop();
+  assert.deepStrictEqual(notes.slice(0, 2), [null, null]);
+  assert.ok(notes.slice(2).every(note => note === 60), notes.join());
+});
+
+test('ignores a note the drone is sounding, in any octave', () => {
+  const parsed = readFixture('c4-fretted.wav');
+  const hear = (drone) => {
+    const notes = [];
+    const stop = PitchInput.onChange((reading, note) => notes.push(note));
+    for (let start = 0; start + FRAME <= parsed.samples.length; start += FRAME / 2) {
+      PitchInput.receive(parsed.samples.subarray(start, start + FRAME), parsed.sampleRate, drone);
+    }
+    stop();
+    return notes[notes.length - 1];
+  };
+  assert.strictEqual(hear([36, 43]), null, 'C2 drone with its fifth');
+  assert.strictEqual(hear([41, 48]), null, 'F2 drone: C is its fifth');
+  assert.strictEqual(hear([38, 45]), 60, 'D2 drone');
+});
+
+function frequencyOf(midi, cents) {
+  return 440 * Math.pow(2, (midi - 69 + cents / 100) / 12);
+}
+
+// Fixed-seed noise so every run builds the same tones
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+// Synthetic tones for the formats the recordings do not cover: half a second of a decaying
+// tone with overtones, as mono samples in -1..1
+function pluck(frequency, seed) {
+  const random = noise(seed);
+  const samples = new Float32Array(SAMPLE_RATE / 2);
+  for (let i = 0; i < samples.length; i += 1) {
+    const t = i / SAMPLE_RATE;
+    let value = 0;
+    [1, 0.6, 0.35, 0.2, 0.1].forEach((level, h) => {
+      value += level * Math.exp(-t * (2 + h)) * Math.sin(2 * Math.PI * frequency * (h + 1) * t);
+    });
+    samples[i] = 0.3 * value + 0.005 * random();
+  }
+  return samples;
+}
+
+// WAV file bytes for `samples`, copied into every channel.
+// format: 'pcm8' | 'pcm16' | 'pcm24' | 'pcm32' | 'float32'; extensible wraps it in
+// WAVE_FORMAT_EXTENSIBLE
+function wav(samples, format, channels, extensible) {
+  const bits = parseInt(format.replace(/\D/g, ''), 10);
+  const bytes = bits / 8;
+  const code = format === 'float32' ? 3 : 1;
+  const fmtSize = extensible ? 40 : 16;
+  const dataSize = samples.length * channels * bytes;
+  const view = new DataView(new ArrayBuffer(20 + fmtSize + 8 + dataSize));
+  const write = (offset, text) => text.split('').forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  write(0, 'RIFF');
+  view.setUint32(4, view.byteLength - 8, true);
+  write(8, 'WAVE');
+  write(12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, extensible ? 0xfffe : code, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * channels * bytes, true);
+  view.setUint16(32, channels * bytes, true);
+  view.setUint16(34, bits, true);
+  if (extensible) {
+    view.setUint16(36, 22, true);
+    view.setUint16(38, bits, true);
+    view.setUint16(44, code, true); // first two bytes of the sub-format GUID
+  }
+  const data = 20 + fmtSize;
+  write(data, 'data');
+  view.setUint32(data + 4, dataSize, true);
+
+  let offset = data + 8;
+  samples.forEach((value) => {
+    for (let c = 0; c < channels; c += 1) {
+      if (format === 'float32') view.setFloat32(offset, value, true);
+      else if (bits === 8) view.setUint8(offset, Math.round(128 + value * 127));
+      else if (bits === 16) view.setInt16(offset, Math.round(value * 32767), true);
+      else if (bits === 24) {
+        const int = Math.round(value * 8388607);
+        view.setUint8(offset, int & 0xff);
+        view.setUint8(offset + 1, (int >> 8) & 0xff);
+        view.setUint8(offset + 2, (int >> 16) & 0xff);
+      } else view.setInt32(offset, Math.round(value * 2147483647), true);
+      offset += bytes;
+    }
+  });
+  return Buffer.from(view.buffer);
+}
+
+// A microphone-sized frame, taken after the attack
+function frame(samples) {
+  return samples.subarray(2048, 2048 + FRAME);
+}
+
+const SYNTHETIC = [
+  { name: 'low E, 16-bit', midi: 40, cents: 0, format: 'pcm16', channels: 1 },
+  { name: 'A string 12 cents sharp, 24-bit stereo', midi: 45, cents: 12, format: 'pcm24', channels: 2 },
+  { name: 'D string 20 cents flat, 8-bit', midi: 50, cents: -20, format: 'pcm8', channels: 1 },
+  { name: 'G string, 32-bit', midi: 55, cents: 0, format: 'pcm32', channels: 1 },
+  { name: 'B string 7 cents sharp, float extensible', midi: 59, cents: 7, format: 'float32', channels: 2, extensible: true },
+  { name: 'high E 15 cents flat, 16-bit stereo', midi: 64, cents: -15, format: 'pcm16', channels: 2 },
+  { name: 'drop D, 16-bit', midi: 38, cents: 0, format: 'pcm16', channels: 1 },
+  { name: 'low B of a 5-string bass, 16-bit', midi: 23, cents: 0, format: 'pcm16', channels: 1 },
+  { name: 'fret 17 on the high E, 16-bit', midi: 81, cents: 4, format: 'pcm16', channels: 1 }
+];
+
+SYNTHETIC.forEach((fixture, i) => {
+  test(`detects a synthetic ${fixture.name}`, () => {
+    const file = wav(pluck(frequencyOf(fixture.midi, fixture.cents), i + 1), fixture.format, fixture.channels, fixture.extensible);
+    const parsed = PitchDetector.parseWav(file);
+    assert.ok(parsed, 'parseWav reads the file');
+    assert.strictEqual(parsed.sampleRate, SAMPLE_RATE);
+    assert.strictEqual(parsed.channels, fixture.channels);
+
+    const reading = PitchDetector.detect(frame(parsed.samples), parsed.sampleRate);
+    assert.ok(reading, 'a pitch is found');
+    assert.strictEqual(reading.midi, fixture.midi);
+    assert.ok(Math.abs(reading.cents - fixture.cents) < 2, `cents ${reading.cents.toFixed(1)}, expected ${fixture.cents}`);
+  });
+});
+
+test('hears silence as no pitch', () => {
+  const parsed = PitchDetector.parseWav(wav(new Float32Array(8192), 'pcm16', 1));
+  assert.strictEqual(PitchDetector.detect(frame(parsed.samples), parsed.sampleRate), null);
+});
+
+test('finds the nearest open string with its cents', () => {
+  const nearest = PitchDetector.nearestString(frequencyOf(45, 30), STANDARD);
+  assert.strictEqual(nearest.index, 1);
+  assert.strictEqual(nearest.midi, 45);
+  assert.ok(Math.abs(nearest.cents - 30) < 0.01);
+});
+
+test('rejects files it cannot read', () => {
+  assert.strictEqual(PitchDetector.parseWav(Buffer.from('not a wave file')), null);
+  const adpcm = wav(new Float32Array(16), 'pcm16', 1);
+  adpcm.writeUInt16LE(2, 20); // format code 2: MS ADPCM
+  assert.strictEqual(PitchDetector.parseWav(adpcm), null);
+});